@@ -3,9 +3,118 @@
  * Handles job fetching, classification, and storage
  */
 
-import { fetchMultipleQueries } from '../utils/adzuna.js';
-import { classifyAndInsertInBatches } from '../utils/gemini.js'; // 👈 new batch function
-import { getSheetStats } from '../utils/sheets.js';
+import { reclassifyStoredJobs, summarizeClassifications, summarizeCache } from '../utils/pipeline.js';
+import { DEFAULT_SOURCES, normalizeSourceSpec, normalizeQuery } from '../utils/sources/index.js';
+import { pickAdzunaFilters, buildFilterParams } from '../utils/adzuna.js';
+import { getSheetStats, updateJobStatuses } from '../utils/sheets.js';
+import { JOB_STATUSES, normalizeStatus, lifecycle } from '../utils/status.js';
+import { getAnalytics } from '../utils/analytics.js';
+import { loadFeedback } from '../utils/feedback.js';
+import { generateApplicationMaterials } from '../utils/materials.js';
+import { rankByFitScore } from '../utils/score.js';
+import { extractResumeText, extractSkillsFromResume } from '../utils/resumeParser.js';
+import { generateSearchQueries } from '../utils/queryGenerator.js';
+import { isMultipartRequest, parseMultipartForm } from '../utils/upload.js';
+import { loadProfile, profileFromResume } from '../utils/profile.js';
+import { loadWatchlist, runWatchlist } from '../utils/watcher.js';
+import { getJobStore } from '../utils/store.js';
+import { isSheetSyncEnabled } from '../utils/sync.js';
+import { getRateLimitStats } from '../utils/rateLimit.js';
+import { requiredLlmEnvVars } from '../utils/llm.js';
+import { createRun, loadRun, findRun, saveRun, advanceRun, advanceRunInBackground, buildRunReport, findRunStatus, isRunStale, notifyRun } from '../utils/runs.js';
+
+const DEFAULT_QUERIES = [
+  'mern developer',
+  'node.js backend developer',
+  'react node developer',
+  'javascript full stack developer',
+  'typescript backend developer'
+];
+
+// Multipart fields carry JSON as text; bad JSON is the client's mistake (400), not ours
+function parseJsonField(fields, name) {
+  try {
+    return JSON.parse(fields[name]);
+  } catch (error) {
+    const invalid = new Error(`Invalid JSON in "${name}" field: ${error.message}`);
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+}
+
+// Resume can arrive as an uploaded file (multipart "resume" field),
+// a JSON "resumeText" field, or a raw text/plain body
+async function readRequestInput(req) {
+  if (req.method !== 'POST') {
+    return { body: {}, resumeText: null };
+  }
+
+  if (isMultipartRequest(req)) {
+    const { fields, files } = await parseMultipartForm(req);
+    const body = {
+      ...fields,
+      queries: fields.queries ? parseJsonField(fields, 'queries') : undefined,
+      candidate: fields.candidate ? parseJsonField(fields, 'candidate') : undefined,
+      profile: fields.profile?.trim().startsWith('{') ? parseJsonField(fields, 'profile') : fields.profile,
+      profiles: fields.profiles ? fields.profiles.split(',') : undefined
+    };
+
+    if (files.resume) {
+      const resumeText = await extractResumeText(files.resume.buffer, files.resume);
+      return { body, resumeText };
+    }
+    return { body, resumeText: fields.resumeText || null };
+  }
+
+  if (typeof req.body === 'string') {
+    return { body: {}, resumeText: req.body };
+  }
+
+  const body = req.body || {};
+  return { body, resumeText: body.resumeText || null };
+}
+
+// "profiles" (list of names/objects, or comma-separated in the query string) runs
+// several profiles; "profile" picks a single one. Empty means "decide later".
+function resolveProfiles(body, query) {
+  const requested = body.profiles || query.profiles?.split(',') || [];
+  const single = body.profile || query.profile;
+  const inputs = requested.length > 0 ? requested : single ? [single] : [];
+  
+  return inputs.map(input => loadProfile(typeof input === 'string' ? input.trim() : input));
+}
+
+function runResponse(run, req, startTime) {
+  const { jobs, profiles, ...report } = buildRunReport(run);
+  const messages = {
+    completed: jobs.length > 0 ? 'Job Scout completed successfully' : 'No jobs found',
+    paused: `Run paused with ${report.processing.pending} jobs pending; POST ?action=resume&runId=${run.runId} to continue`
+  };
+  
+  return {
+    success: true,
+    message: messages[run.status] || `Run is ${run.status}`,
+    ...report,
+    processing: { ...report.processing, duration: Date.now() - startTime },
+    profiles: profiles.map(({ jobs, ...profile }) => profile),
+    jobs: req.query.include_jobs === 'true' ? jobs : undefined,
+    rateLimits: getRateLimitStats(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+function acceptedResponse(run, req) {
+  const base = `${req.headers['x-forwarded-proto'] || 'https'}://${req.headers.host || 'localhost'}/api/jobs`;
+  return {
+    success: true,
+    message: 'Run started; poll the status URL until it is completed',
+    runId: run.runId,
+    status: run.status,
+    statusUrl: `${base}?action=status&runId=${run.runId}`,
+    reportUrl: `${base}?action=report&runId=${run.runId}`,
+    timestamp: new Date().toISOString()
+  };
+}
 
 export default async function handler(req, res) {
   // CORS headers
@@ -17,31 +126,32 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
   
-  // Validate env vars
-  const requiredEnvVars = [
-    'ADZUNA_APP_ID',
-    'ADZUNA_APP_KEY', 
-    'GEMINI_API_KEY',
-    'GOOGLE_SHEET_ID',
-    'GOOGLE_SERVICE_ACCOUNT_JSON'
-  ];
-  const missingVars = requiredEnvVars.filter(v => !process.env[v]);
-  if (missingVars.length > 0) {
-    return res.status(500).json({
-      success: false,
-      error: `Missing env vars: ${missingVars.join(', ')}`,
-      timestamp: new Date().toISOString()
-    });
-  }
-  
   const startTime = Date.now();
   
   try {
+    // Validate env vars (Google ones only matter when syncing to the sheet, LLM keys depend on the providers).
+    // Inside the try: reading config/llm.json can throw
+    const requiredEnvVars = [
+      'ADZUNA_APP_ID',
+      'ADZUNA_APP_KEY', 
+      ...requiredLlmEnvVars(),
+      ...(isSheetSyncEnabled() ? ['GOOGLE_SHEET_ID', 'GOOGLE_SERVICE_ACCOUNT_JSON'] : [])
+    ];
+    const missingVars = requiredEnvVars.filter(v => !process.env[v]);
+    if (missingVars.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: `Missing env vars: ${missingVars.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     console.log('🚀 Starting Job Scout Agent...');
     
     // Stats endpoint
     if (req.method === 'GET' && req.query.action === 'stats') {
-      const stats = await getSheetStats();
+      const profile = req.query.profile ? loadProfile(req.query.profile) : loadProfile();
+      const stats = await getSheetStats(profile.sheetName);
       return res.status(200).json({
         success: true,
         ...stats,
@@ -49,75 +159,318 @@ export default async function handler(req, res) {
       });
     }
     
-    // Main queries
-    const queries = req.method === 'POST' && req.body?.queries 
-      ? req.body.queries 
-      : [
-          'mern developer',
-          'node.js backend developer', 
-          'react node developer',
-          'javascript full stack developer',
-          'typescript backend developer'
-        ];
-    
-    const location = req.query.location || req.body?.location || 'india';
-    const maxJobs = parseInt(req.query.max) || parseInt(req.body?.maxJobs) || 25;
-    
-    console.log(`📋 Queries: ${queries.join(', ')}`);
-    console.log(`📍 Location: ${location}`);
-    console.log(`🔢 Max jobs: ${maxJobs}`);
-    
-    // Step 1: Fetch jobs
-    console.log('📡 Step 1: Fetching jobs from Adzuna...');
-    const jobsResult = await fetchMultipleQueries(queries, location);
-    if (!jobsResult.success || jobsResult.jobs.length === 0) {
+    // Funnel conversion, GOOD_FIT rate per query/source, volume over time
+    if (req.method === 'GET' && req.query.action === 'analytics') {
+      const profile = req.query.profile ? loadProfile(req.query.profile) : loadProfile();
+      const analytics = await getAnalytics(profile, {
+        days: parseInt(req.query.days) || null,
+        topLimit: parseInt(req.query.top) || undefined
+      });
       return res.status(200).json({
         success: true,
-        message: 'No jobs found from Adzuna',
-        jobs: [],
-        processing: { fetched: 0, processed: 0, duration: Date.now() - startTime },
+        ...analytics,
         timestamp: new Date().toISOString()
       });
     }
     
-    // Limit jobs
-    const jobsToProcess = jobsResult.jobs.slice(0, maxJobs);
-    console.log(`📊 Found ${jobsResult.jobs.length}, processing ${jobsToProcess.length}`);
+    // What the classifier has learned from statuses and overrides in the sheet
+    if (req.method === 'GET' && req.query.action === 'feedback') {
+      const profile = req.query.profile ? loadProfile(req.query.profile) : loadProfile();
+      const feedback = await loadFeedback(profile, { refresh: true });
+      return res.status(200).json({
+        success: true,
+        profile: profile.name,
+        feedback,
+        message: feedback ? undefined : (isSheetSyncEnabled() ? 'No jobs marked yet' : 'Feedback needs sheet sync (SHEET_SYNC is off)'),
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    // Step 2 + 3 combined: classify & insert in batches
-    console.log('🤖 Step 2 + 3: Classify + Insert in batches...');
-    const classifiedJobs = await classifyAndInsertInBatches(jobsToProcess, 15);
+    // Statuses and the moves allowed between them
+    if (req.method === 'GET' && req.query.action === 'lifecycle') {
+      return res.status(200).json({
+        success: true,
+        ...lifecycle(),
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    // Classification summary
-    const classificationStats = {
-      goodFit: classifiedJobs.filter(j => j.aiClassification === 'GOOD_FIT').length,
-      maybeFit: classifiedJobs.filter(j => j.aiClassification === 'MAYBE_FIT').length,
-      ignore: classifiedJobs.filter(j => j.aiClassification === 'IGNORE').length,
-      errors: classifiedJobs.filter(j => !j.processed).length
-    };
+    // Query / audit the local job store (no Sheets API calls)
+    if (req.method === 'GET' && req.query.action === 'jobs') {
+      const { profile, classification, source, since, search } = req.query;
+      // Best fit first
+      const records = rankByFitScore(
+        getJobStore().query({ profile, classification, source, since, search }),
+        record => record.classification?.fitScore
+      );
+      const limit = parseInt(req.query.limit) || 50;
+      return res.status(200).json({
+        success: true,
+        total: records.length,
+        jobs: records.slice(0, limit),
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    console.log('📈 Classification:', classificationStats);
-    
-    // Final response
-    const duration = Date.now() - startTime;
-    return res.status(200).json({
-      success: true,
-      message: 'Job Scout completed successfully',
-      processing: {
-        fetched: jobsResult.jobs.length,
-        processed: classifiedJobs.length,
-        duration
-      },
-      classification: classificationStats,
-      jobs: req.query.include_jobs === 'true' ? classifiedJobs : undefined,
-      timestamp: new Date().toISOString()
-    });
+    // Run status / final report for runs started asynchronously
+    if (req.method === 'GET' && (req.query.action === 'status' || req.query.action === 'report')) {
+      const found = req.query.runId ? await findRunStatus(req.query.runId) : null;
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          error: req.query.runId ? `Unknown run: ${req.query.runId}` : 'Missing runId',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const { report, local, ...status } = found;
+      if (req.query.action === 'status' || status.status !== 'completed') {
+        return res.status(req.query.action === 'report' ? 202 : 200).json({
+          success: true,
+          ...status,
+          timestamp: new Date().toISOString()
+        });
+      }
+      return res.status(200).json(local
+        ? runResponse(loadRun(req.query.runId), req, startTime)
+        : { success: true, ...report, timestamp: new Date().toISOString() });
+    }
+    
+    const { body, resumeText } = await readRequestInput(req);
+    // POSTs answer straight away with a runId unless the caller asks to wait
+    const runAsync = req.method === 'POST' && req.query.wait !== 'true' && body.wait !== true;
+    const maxJobs = parseInt(req.query.max) || parseInt(body.maxJobs) || 25;
+    
+    // Company career-page watcher (Greenhouse / Lever boards)
+    if (req.query.action === 'watch') {
+      const profile = resolveProfiles(body, req.query)[0] || loadProfile();
+      const watchlist = body.watchlist || loadWatchlist();
+      console.log(`👀 Watching ${watchlist.length} company boards for profile ${profile.name}...`);
+      
+      const result = await runWatchlist(watchlist, { profile, maxJobs });
+      return res.status(200).json({
+        success: true,
+        message: `Found ${result.jobs.length} new postings on watched boards`,
+        profile: profile.name,
+        boards: result.boards,
+        processing: {
+          fetched: result.jobs.length,
+          processed: result.jobs.length,
+          duration: Date.now() - startTime
+        },
+        classification: summarizeClassifications(result.jobs),
+        cache: summarizeCache(result.jobs),
+        jobs: req.query.include_jobs === 'true' ? result.jobs : undefined,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Move jobs through the application lifecycle, by apply link(s) or by filter
+    if (req.method === 'POST' && req.query.action === 'set-status') {
+      const applyLinks = body.applyLinks || (body.applyLink ? [body.applyLink] : null);
+      const inputError =
+        !isSheetSyncEnabled() ? 'Status tracking needs the Google Sheet (SHEET_SYNC is off)' :
+        !JOB_STATUSES.includes(normalizeStatus(body.status)) ? `Unknown status "${body.status}" (use ${JOB_STATUSES.join(', ')})` :
+        !applyLinks?.length && !(body.filter && Object.keys(body.filter).length > 0) ? 'Pass applyLink, applyLinks or a filter' :
+        null;
+      if (inputError) {
+        return res.status(400).json({
+          success: false,
+          error: inputError,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const profile = resolveProfiles(body, req.query)[0] || loadProfile();
+      const result = await updateJobStatuses(body.status, {
+        sheetName: profile.sheetName,
+        applyLinks,
+        filter: body.filter,
+        note: body.note || '',
+        force: body.force === true
+      });
+      return res.status(result.success ? 200 : 500).json({
+        ...result,
+        profile: profile.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Continue a run that stopped (timeout / time budget) from its last checkpoint
+    if (req.method === 'POST' && req.query.action === 'resume') {
+      const runId = req.query.runId || body.runId;
+      const run = runId ? await findRun(runId) : null;
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: runId ? `Unknown run: ${runId}` : 'Missing runId',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (run.status === 'completed') {
+        return res.status(200).json(runResponse(run, req, startTime));
+      }
+      // A second invocation on the same checkpoint would classify its jobs twice;
+      // force=true is for a run known to be dead before it looks stale
+      const force = req.query.force === 'true' || body.force === true;
+      if (run.status === 'running' && !isRunStale(run) && !force) {
+        return res.status(409).json({
+          success: false,
+          error: `Run ${run.runId} is still running (${run.phase}); poll ?action=status&runId=${run.runId}, or add force=true if it crashed`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      console.log(`▶️ Resuming run ${run.runId}...`);
+      if (runAsync) {
+        advanceRunInBackground(run);
+        return res.status(202).json(acceptedResponse(run, req));
+      }
+      await advanceRun(run);
+      return res.status(200).json(runResponse(run, req, startTime));
+    }
+    
+    // (Re)send a completed run's digest, e.g. to try out a channel
+    if (req.method === 'POST' && req.query.action === 'notify') {
+      const runId = req.query.runId || body.runId;
+      const run = runId ? await findRun(runId) : null;
+      if (!run || run.status !== 'completed') {
+        return res.status(run ? 409 : 404).json({
+          success: false,
+          error: run ? `Run ${runId} is ${run.status}, not completed` : runId ? `Unknown run: ${runId}` : 'Missing runId',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const digest = await notifyRun(run, { force: true });
+      saveRun(run);
+      return res.status(digest.every(result => result.success) ? 200 : 502).json({
+        success: digest.every(result => result.success),
+        runId: run.runId,
+        digest,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Cover letter + resume bullets for shortlisted jobs (or the given apply links)
+    if (req.method === 'POST' && req.query.action === 'materials') {
+      const inputError =
+        !isSheetSyncEnabled() ? 'Application materials need the Google Sheet (SHEET_SYNC is off)' :
+        !resumeText && !body.candidate ? 'Pass a resume (file, resumeText or text body) or a candidate profile' :
+        null;
+      if (inputError) {
+        return res.status(400).json({
+          success: false,
+          error: inputError,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const profile = resolveProfiles(body, req.query)[0] || loadProfile();
+      // A candidate from an earlier extraction skips the resume LLM call
+      const candidate = body.candidate || await extractSkillsFromResume(resumeText);
+      const applyLinks = body.applyLinks || (body.applyLink || req.query.applyLink ? [body.applyLink || req.query.applyLink] : null);
+      const result = await generateApplicationMaterials(profile, candidate, {
+        resumeText: resumeText || '',
+        applyLinks,
+        status: body.status || req.query.status || 'Shortlisted',
+        maxJobs: parseInt(req.query.max) || parseInt(body.maxJobs) || 5,
+        overwrite: body.overwrite === true || req.query.overwrite === 'true'
+      });
+      return res.status(result.success ? 200 : 500).json({
+        ...result,
+        candidate,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Re-classify stored jobs, e.g. after editing a profile
+    if (req.method === 'POST' && req.query.action === 'reclassify') {
+      const profile = resolveProfiles(body, req.query)[0] || loadProfile();
+      const result = await reclassifyStoredJobs(profile, { filter: body.filter || {}, maxJobs });
+      return res.status(200).json({
+        success: true,
+        message: `Re-classified ${result.processing.processed} stored jobs (${result.processing.changed} changed)`,
+        ...result,
+        jobs: req.query.include_jobs === 'true' ? result.jobs : undefined,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const profiles = resolveProfiles(body, req.query);
+    let resumeProfile = null;
+    
+    // Resume-driven queries take precedence over profile/request/default ones
+    if (resumeText) {
+      console.log('📄 Extracting profile from resume...');
+      resumeProfile = await extractSkillsFromResume(resumeText);
+      
+      // Explicit profile (name or inline object) wins over one derived from the resume
+      if (profiles.length === 0) {
+        profiles.push(profileFromResume(resumeProfile));
+      }
+      const resumeQueries = generateSearchQueries(resumeProfile);
+      if (resumeQueries.length > 0) {
+        profiles.forEach(profile => { profile.queries = resumeQueries; });
+      }
+    }
+    if (profiles.length === 0) {
+      profiles.push(loadProfile());
+    }
+    
+    console.log(`🔢 Max jobs per profile: ${maxJobs}`);
+    
+    // Work out each profile's search settings; profile values win over request-level ones
+    const requestFilters = pickAdzunaFilters(body);
+    const runs = profiles.map(profile => ({
+      profile,
+      queries: profile.queries.length > 0 ? profile.queries : body.queries || DEFAULT_QUERIES,
+      location: profile.location || req.query.location || body.location || 'india',
+      sources: profile.sources || body.sources || req.query.sources?.split(',') || DEFAULT_SOURCES,
+      pages: profile.pages || parseInt(req.query.pages) || parseInt(body.pages) || 1,
+      resultsPerPage: profile.resultsPerPage || parseInt(body.resultsPerPage) || 20,
+      filters: { ...requestFilters, ...profile.filters }
+    }));
+    
+    // Reject bad sources, queries and search filters before any API quota is spent
+    // (and before a background run would fail on them after the 202)
+    try {
+      for (const run of runs) {
+        if (!Array.isArray(run.queries) || !Array.isArray(run.sources)) {
+          throw new Error('"queries" and "sources" must be lists');
+        }
+        run.sources.forEach(normalizeSourceSpec);
+        run.queries.forEach(normalizeQuery);
+        buildFilterParams(run.filters);
+        run.queries.forEach(query => typeof query === 'object' && buildFilterParams(query));
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Profiles run one after another so they share the API rate limits;
+    // progress is checkpointed so a timed-out run can be resumed by runId
+    const run = createRun(runs, { maxJobs, resumeProfile });
+    console.log(`🆔 Run ${run.runId}`);
+    if (runAsync) {
+      advanceRunInBackground(run);
+      return res.status(202).json(acceptedResponse(run, req));
+    }
+    await advanceRun(run);
+    
+    return res.status(200).json(runResponse(run, req, startTime));
     
   } catch (err) {
     console.error('❌ Job Scout Agent failed:', err);
-    return res.status(500).json({
+    return res.status(err.statusCode || 500).json({
       success: false,
       error: err.message,
+      runId: err.runId,
       processing: { duration: Date.now() - startTime },
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,163 @@
+/**
+ * Classification evaluation
+ * Runs one or more classifiers over a labelled dataset and prints precision,
+ * recall and a confusion matrix for each, side by side.
+ *
+ *   npm run evaluate -- --run offline
+ *   npm run evaluate -- --run llm --record eval/recordings/v4.json
+ *   npm run evaluate -- --run replay:eval/recordings/v4.json --run llm
+ *   npm run evaluate -- --run offline --run offline@strict
+ *
+ * Runs: `offline` (the offline classifier), `llm` (the live provider chain from
+ * config/llm.json) and `replay:<file>` (a stubbed LLM answering from a
+ * recording). Append `@<profile>` to score a run with another profile.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadProfile } from '../utils/profile.js';
+import { buildClassificationPrompt, parseClassificationResponse, PROMPT_VERSION } from '../utils/gemini.js';
+import { generateText } from '../utils/llm.js';
+import { classifyOffline } from '../utils/offlineClassifier.js';
+import { normalizeSalary } from '../utils/salary.js';
+import { LABELS, evaluateClassifications, formatEvaluationReport } from '../utils/evaluation.js';
+
+const DEFAULT_DATASET = path.join('eval', 'labeled-jobs.json');
+
+function parseArgs(argv) {
+  const options = { dataset: DEFAULT_DATASET, runs: [], record: null, out: null };
+  const flags = { '--dataset': 'dataset', '--record': 'record', '--out': 'out' };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (value == null) throw new Error(`${flag} needs a value`);
+    if (flag === '--run') options.runs.push(value);
+    else if (flags[flag]) options[flags[flag]] = value;
+    else throw new Error(`Unknown option ${flag} (use --run, --dataset, --record, --out)`);
+  }
+
+  if (options.runs.length === 0) options.runs.push('offline');
+  return options;
+}
+
+// "replay:eval/recordings/v4.json@strict" → { classifier: 'replay', source: 'eval/recordings/v4.json', profileName: 'strict' }
+function parseRunSpec(spec, defaultProfile) {
+  const match = spec.match(/^(offline|llm|replay)(?::([^@]+))?(?:@(.+))?$/);
+  if (!match) {
+    throw new Error(`Invalid run "${spec}" (use offline, llm or replay:<file>, optionally followed by @<profile>)`);
+  }
+  const [, classifier, source = null, profileName = defaultProfile] = match;
+  if (classifier === 'replay' && !source) {
+    throw new Error(`Run "${spec}" needs a recording: replay:<file>`);
+  }
+  return { name: spec, classifier, source, profileName };
+}
+
+function loadDataset(file) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const jobs = dataset.jobs || [];
+
+  const invalid = jobs.filter(job => !job.id || !job.title || !LABELS.includes(job.expected));
+  if (invalid.length > 0) {
+    throw new Error(`${invalid.length} jobs in ${file} need an id, a title and an expected label (${LABELS.join(', ')})`);
+  }
+
+  return {
+    profileName: dataset.profile || 'default',
+    // Salaries are given the way a source states them: { min, max, currency, period }
+    jobs: jobs.map(job => ({ ...job, salaryRange: normalizeSalary(job.salary) }))
+  };
+}
+
+function loadRecording(file) {
+  const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (recording.promptVersion !== PROMPT_VERSION) {
+    console.warn(`⚠️ ${file} was recorded with prompt v${recording.promptVersion}; the current prompt is v${PROMPT_VERSION}`);
+  }
+  return recording;
+}
+
+// One job through the run's classifier. LLM answers that are missing or
+// unusable are scored by the offline classifier, like classifyJob does, and
+// reported as failures.
+async function classifyForRun(run, job, profile, recording) {
+  if (run.classifier === 'offline') {
+    return { result: classifyOffline(job, profile) };
+  }
+
+  let text;
+  if (run.classifier === 'replay') {
+    text = recording.responses[job.id];
+    if (text == null) {
+      return { result: classifyOffline(job, profile), error: 'no recorded response' };
+    }
+  } else {
+    try {
+      const prompt = buildClassificationPrompt(job.title, job.description || '', job.company || '', profile);
+      ({ text } = await generateText(prompt, { task: 'classify' }));
+    } catch (error) {
+      return { result: classifyOffline(job, profile), error: error.message };
+    }
+    if (recording) recording.responses[job.id] = text;
+  }
+
+  const parsed = parseClassificationResponse(text, profile);
+  return parsed
+    ? { result: parsed }
+    : { result: classifyOffline(job, profile), error: 'unparseable response' };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dataset = loadDataset(options.dataset);
+  const runs = [];
+
+  for (const spec of options.runs) {
+    const run = parseRunSpec(spec, dataset.profileName);
+    const profile = loadProfile(run.profileName);
+    const recording = run.classifier === 'replay'
+      ? loadRecording(run.source)
+      : run.classifier === 'llm' && options.record
+        ? { promptVersion: PROMPT_VERSION, profile: run.profileName, recordedAt: new Date().toISOString(), responses: {} }
+        : null;
+
+    console.log(`🧪 ${run.name}: classifying ${dataset.jobs.length} jobs...`);
+    const results = [];
+    for (const job of dataset.jobs) {
+      const { result, error } = await classifyForRun(run, job, profile, recording);
+      results.push({
+        id: job.id,
+        title: job.title,
+        expected: job.expected,
+        predicted: result.classification,
+        fitScore: result.fitScore,
+        ...(error ? { error } : {})
+      });
+    }
+
+    if (run.classifier === 'llm' && recording) {
+      fs.mkdirSync(path.dirname(options.record), { recursive: true });
+      fs.writeFileSync(options.record, JSON.stringify(recording, null, 2));
+      console.log(`💾 Recorded ${Object.keys(recording.responses).length} responses to ${options.record}`);
+    }
+
+    runs.push({
+      name: run.name,
+      metrics: evaluateClassifications(results),
+      results,
+      failures: results.filter(result => result.error).length
+    });
+  }
+
+  console.log(`\n${formatEvaluationReport(runs, { dataset: options.dataset, profileName: dataset.profileName })}`);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify({ dataset: options.dataset, promptVersion: PROMPT_VERSION, runs }, null, 2));
+    console.log(`\n📄 Full results written to ${options.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+/**
+ * API handler: request validation (no network, sheet sync and LLM off)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-api-'));
+Object.assign(process.env, {
+  SHEET_SYNC: 'off',
+  LLM_PROVIDERS: 'none',
+  ADZUNA_APP_ID: 'test',
+  ADZUNA_APP_KEY: 'test',
+  RATE_LIMIT_USAGE_PATH: path.join(tmpDir, 'usage.json'),
+  JOB_STORE_PATH: path.join(tmpDir, 'jobs.jsonl'),
+  CLASSIFICATION_CACHE_PATH: path.join(tmpDir, 'classifications.jsonl'),
+  RUNS_PATH: path.join(tmpDir, 'runs')
+});
+
+const { default: handler } = await import('../api/jobs.js');
+
+async function call({ method = 'POST', query = {}, body = {} } = {}) {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader() {}
+  };
+  await handler({ method, query, body, headers: { 'content-type': 'application/json' } }, res);
+  return res;
+}
+
+test('unknown sources and malformed queries are rejected before a run starts', async () => {
+  const runsBefore = fs.existsSync(process.env.RUNS_PATH) ? fs.readdirSync(process.env.RUNS_PATH).length : 0;
+
+  const unknownSource = await call({ body: { sources: ['remotive', 'monster'], queries: ['node'] } });
+  assert.equal(unknownSource.statusCode, 400);
+  assert.match(unknownSource.body.error, /Unknown job source "monster"/);
+
+  const badQuery = await call({ body: { sources: ['remotive'], queries: [{ pages: 2 }] } });
+  assert.equal(badQuery.statusCode, 400);
+  assert.match(badQuery.body.error, /Invalid query/);
+
+  const notAList = await call({ body: { queries: 'node developer' } });
+  assert.equal(notAList.statusCode, 400);
+
+  const badSpec = await call({ body: { sources: [null], queries: ['node'] } });
+  assert.equal(badSpec.statusCode, 400);
+  assert.match(badSpec.body.error, /Invalid source/);
+
+  const runsAfter = fs.existsSync(process.env.RUNS_PATH) ? fs.readdirSync(process.env.RUNS_PATH).length : 0;
+  assert.equal(runsAfter, runsBefore);
+});
+
+test('a running run answers 409 on resume unless forced, and goes stale off Vercel too', async () => {
+  const { createRun, saveRun, loadRun, isRunStale } = await import('../utils/runs.js');
+  const { loadProfile } = await import('../utils/profile.js');
+
+  // Nothing left to fetch or classify, so resuming just completes it
+  const run = createRun([{ profile: loadProfile(), queries: ['node'], sources: ['remotive'] }], { maxJobs: 5 });
+  run.profiles[0].stage = 'done';
+  run.status = 'running';
+  saveRun(run);
+
+  const busy = await call({ query: { action: 'resume', runId: run.runId, wait: 'true' } });
+  assert.equal(busy.statusCode, 409);
+  assert.equal(isRunStale(run), false);
+  assert.equal(isRunStale(run, Date.now() + 11 * 60 * 1000), true);
+
+  const forced = await call({ query: { action: 'resume', runId: run.runId, wait: 'true', force: 'true' } });
+  assert.equal(forced.statusCode, 200);
+  assert.equal(loadRun(run.runId).status, 'completed');
+});
@@ -0,0 +1,61 @@
+/**
+ * Classification cache staleness
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.CLASSIFICATION_CACHE_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-cache-')), 'classifications.jsonl');
+
+const { createClassificationCache, profileFingerprint } = await import('../utils/cache.js');
+const { loadProfile } = await import('../utils/profile.js');
+
+const job = {
+  title: 'Node.js Developer',
+  company: 'Shipwise',
+  description: 'Build APIs with Node.js and PostgreSQL'
+};
+
+const verdict = { classification: 'GOOD_FIT', fitScore: 82, summary: 'Node.js backend role', matchedSkills: ['Node.js'], concerns: [] };
+
+const feedback = {
+  jobs: 3,
+  positive: 2,
+  negative: 1,
+  overrides: 0,
+  disagreements: 1,
+  examples: [{ title: 'Backend Engineer', company: 'Ledgerly', label: 'GOOD_FIT', aiLabel: 'MAYBE_FIT', reason: 'applied' }],
+  companies: { liked: ['Ledgerly'], disliked: [] },
+  keywords: { liked: ['graphql'], disliked: [] }
+};
+
+test('new feedback makes cached verdicts stale', () => {
+  const cache = createClassificationCache();
+  const profile = loadProfile('default');
+  const withFeedback = { ...profile, feedback };
+
+  cache.store(job, withFeedback, 'v1', verdict);
+  assert.equal(cache.lookup(job, withFeedback, 'v1').status, 'hit');
+  assert.equal(cache.lookup(job, withFeedback, 'v1').result.classification, 'GOOD_FIT');
+
+  // Counts aren't shown to the classifier, so they don't matter
+  assert.equal(cache.lookup(job, { ...profile, feedback: { ...feedback, jobs: 4, positive: 3 } }, 'v1').status, 'hit');
+
+  const changes = [
+    { ...feedback, companies: { liked: [], disliked: ['Ledgerly'] } },
+    { ...feedback, keywords: { liked: ['graphql'], disliked: ['php'] } },
+    { ...feedback, examples: [{ ...feedback.examples[0], label: 'IGNORE', reason: 'override' }] }
+  ];
+  for (const changed of changes) {
+    assert.equal(cache.lookup(job, { ...profile, feedback: changed }, 'v1').status, 'stale');
+  }
+  assert.equal(cache.lookup(job, profile, 'v1').status, 'stale');
+  assert.equal(cache.lookup(job, withFeedback, 'v2').status, 'stale');
+
+  // No feedback yet and none found are the same
+  assert.notEqual(profileFingerprint(profile), profileFingerprint(withFeedback));
+  assert.equal(profileFingerprint(profile), profileFingerprint({ ...profile, feedback: null }));
+});
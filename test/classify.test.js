@@ -0,0 +1,51 @@
+/**
+ * Batched classification with the offline classifier (LLM_PROVIDERS=none)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-classify-'));
+process.env.RATE_LIMIT_USAGE_PATH = path.join(tmpDir, 'usage.json');
+process.env.JOB_STORE_PATH = path.join(tmpDir, 'jobs.jsonl');
+process.env.CLASSIFICATION_CACHE_PATH = path.join(tmpDir, 'classifications.jsonl');
+process.env.SHEET_SYNC = 'off';
+process.env.LLM_PROVIDERS = 'none';
+
+const { classifyAndInsertInBatches } = await import('../utils/gemini.js');
+const { createJobStore } = await import('../utils/store.js');
+const { loadProfile } = await import('../utils/profile.js');
+
+const jobs = Array.from({ length: 6 }, (_, i) => ({
+  id: `j-${i}`,
+  title: `Node.js Developer ${i}`,
+  company: 'Shipwise',
+  location: 'Remote',
+  description: 'Express and PostgreSQL',
+  applyLink: `https://jobs.example.com/node-${i}`,
+  source: 'remotive'
+}));
+
+test('the time budget is checked before every prompt, not only between batches', async () => {
+  const store = createJobStore(path.join(tmpDir, 'budget.jsonl'));
+  store.recordFetched(jobs, 'default');
+
+  // Out of time after the first prompt of the first batch
+  let checks = 0;
+  const batches = [];
+  const classified = await classifyAndInsertInBatches(jobs, 15, {
+    profile: loadProfile(),
+    store,
+    jobsPerPrompt: 2,
+    shouldStop: () => ++checks > 2,
+    onBatch: async (batch) => { batches.push(batch.map(job => job.id)); }
+  });
+
+  assert.deepEqual(classified.map(job => job.id), ['j-0', 'j-1']);
+  // The partial batch is still reported so a run can checkpoint it
+  assert.deepEqual(batches, [['j-0', 'j-1']]);
+  assert.equal(store.get('default', jobs[2]).classification, null);
+});
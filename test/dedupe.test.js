@@ -0,0 +1,28 @@
+/**
+ * Canonical URLs and duplicate detection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { canonicalizeUrl, dedupeJobs } = await import('../utils/dedupe.js');
+
+test('strips tracking params but keeps ids in generic keys', () => {
+  assert.equal(canonicalizeUrl('https://www.example.com/jobs/42/?utm_source=x&gclid=1&ref=feed'), 'example.com/jobs/42');
+  assert.equal(canonicalizeUrl('https://board.example.com/view?v=8841&source=abc'), 'board.example.com/view?source=abc&v=8841');
+});
+
+test('the same Adzuna ad found by two queries has one canonical URL', () => {
+  const byNode = 'https://www.adzuna.in/land/ad/4512345678?se=aB3xYz&utm_medium=api&utm_source=1a2b3c&v=0F1E2D';
+  const byMern = 'https://www.adzuna.in/land/ad/4512345678?se=Qw9RtU&utm_medium=api&utm_source=1a2b3c&v=9A8B7C';
+  assert.equal(canonicalizeUrl(byNode), 'adzuna.in/land/ad/4512345678');
+  assert.equal(canonicalizeUrl(byNode), canonicalizeUrl(byMern));
+  assert.notEqual(canonicalizeUrl(byNode), canonicalizeUrl('https://www.adzuna.in/land/ad/4599999999?se=aB3xYz&v=0F1E2D'));
+
+  const { jobs, merged } = dedupeJobs([
+    { id: '4512345678', title: 'Node.js Developer', company: 'Shipwise', location: 'Pune', applyLink: byNode, source: 'adzuna', searchQuery: 'node' },
+    { id: '4512345678', title: 'Node.js Developer', company: 'Shipwise', location: 'Pune', applyLink: byMern, source: 'adzuna', searchQuery: 'mern' }
+  ]);
+  assert.equal(jobs.length, 1);
+  assert.equal(merged, 1);
+});
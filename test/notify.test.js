@@ -0,0 +1,137 @@
+/**
+ * Run digests delivered to local mock receivers: a minimal SMTP server and an
+ * HTTP server standing in for the Slack and Discord webhooks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-notify-'));
+Object.assign(process.env, {
+  SHEET_SYNC: 'off',
+  RATE_LIMIT_USAGE_PATH: path.join(tmpDir, 'usage.json'),
+  JOB_STORE_PATH: path.join(tmpDir, 'jobs.jsonl'),
+  RUNS_PATH: path.join(tmpDir, 'runs')
+});
+
+const { createRun, notifyRun } = await import('../utils/runs.js');
+const { createJobStore } = await import('../utils/store.js');
+const { loadProfile } = await import('../utils/profile.js');
+
+// Accepts every command and keeps each message's DATA
+function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost ESMTP mock\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages })));
+}
+
+function startWebhookServer() {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      posts.push({ path: req.url, payload: JSON.parse(body) });
+      res.writeHead(req.url === '/discord' ? 204 : 200).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, posts })));
+}
+
+const job = (id, title) => ({
+  id,
+  title,
+  company: 'Shipwise',
+  location: 'Remote',
+  description: 'Node.js and PostgreSQL',
+  applyLink: `https://jobs.example.com/${id}`,
+  source: 'remotive',
+  aiClassification: 'GOOD_FIT',
+  fitScore: 82,
+  aiSummary: 'Node.js backend role',
+  processed: true
+});
+
+test('a run digest reaches SMTP and webhook receivers with only the jobs new to the run', async (t) => {
+  const smtp = await startSmtpServer();
+  const webhooks = await startWebhookServer();
+  t.after(() => {
+    smtp.server.close();
+    webhooks.server.close();
+  });
+  const webhookUrl = `http://127.0.0.1:${webhooks.server.address().port}`;
+  Object.assign(process.env, {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.server.address().port),
+    DIGEST_EMAIL_TO: 'me@example.com',
+    SLACK_WEBHOOK_URL: `${webhookUrl}/slack`,
+    DISCORD_WEBHOOK_URL: `${webhookUrl}/discord`
+  });
+
+  const store = createJobStore(path.join(tmpDir, 'digest.jsonl'));
+  const notified = job('old-1', 'Node.js Developer');
+  const fresh = job('new-1', 'Backend Engineer');
+
+  // Classified (and so notified) by an earlier run
+  store.recordClassification(notified, 'default');
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  const run = createRun([{ profile: loadProfile(), queries: ['node'], sources: ['remotive'] }], { maxJobs: 5 });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  // This run: a cache hit on the old job and a first verdict on the new one
+  store.recordClassification(notified, 'default');
+  store.recordClassification(fresh, 'default');
+  run.profiles[0].processedKeys = [store.get('default', notified).key, store.get('default', fresh).key];
+  run.profiles[0].stage = 'done';
+
+  const digest = await notifyRun(run, { store });
+  assert.deepEqual(digest.map(result => [result.channel, result.jobs, result.success]),
+    [['email', 1, true], ['slack', 1, true], ['discord', 1, true]]);
+
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0], /To: me@example\.com/);
+  assert.match(smtp.messages[0], /Backend Engineer/);
+  assert.doesNotMatch(smtp.messages[0], /Node\.js Developer/);
+
+  const [slack, discord] = webhooks.posts;
+  assert.equal(slack.path, '/slack');
+  assert.match(slack.payload.text, /Backend Engineer/);
+  assert.doesNotMatch(slack.payload.text, /Node\.js Developer/);
+  assert.equal(discord.path, '/discord');
+  assert.match(discord.payload.content, /1 GOOD_FIT, 0 MAYBE_FIT new job \(run /);
+});
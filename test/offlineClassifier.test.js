@@ -0,0 +1,77 @@
+/**
+ * Offline classifier scoring
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { classifyOffline } = await import('../utils/offlineClassifier.js');
+const { loadProfile } = await import('../utils/profile.js');
+
+const profile = loadProfile('default');
+
+test('a job with no stack match is IGNORE even in an allowed location', () => {
+  const result = classifyOffline({
+    title: 'Inside Sales Executive',
+    company: 'Edupath',
+    location: 'Remote, India',
+    description: 'Call prospective students, run demos and close admissions. Freshers welcome.'
+  }, profile);
+
+  assert.equal(result.scoreBreakdown.stack, 0);
+  assert.equal(result.scoreBreakdown.location, 100);
+  assert.equal(result.classification, 'IGNORE');
+  assert.ok(result.fitScore < profile.fitThresholds.maybeFit);
+  assert.equal(result.dealBreaker, false);
+});
+
+test('a matching stack still scores on its own merits', () => {
+  const result = classifyOffline({
+    title: 'Node.js Developer',
+    company: 'Shipwise',
+    location: 'Bengaluru',
+    description: 'Build APIs with Node.js, Express and PostgreSQL. 0-2 years of experience.'
+  }, profile);
+
+  assert.deepEqual(result.matchedSkills, ['Node.js', 'Express', 'PostgreSQL']);
+  assert.equal(result.classification, 'GOOD_FIT');
+});
+
+test('seniority well past the range is IGNORE however good the stack', () => {
+  const result = classifyOffline({
+    title: 'Engineering Manager - Web Platform',
+    company: 'Shipwise',
+    location: 'Bengaluru',
+    description: 'Lead a team of Node.js and React engineers. 10+ years of experience, 3 managing people.'
+  }, profile);
+
+  assert.ok(result.scoreBreakdown.seniority <= 30);
+  assert.equal(result.classification, 'IGNORE');
+  assert.ok(result.concerns.includes('far outside the experience range'));
+});
+
+test('a location outside the profile is IGNORE however good the stack', () => {
+  const result = classifyOffline({
+    title: 'Junior Backend Developer (Node.js)',
+    company: 'Velotaxi',
+    location: 'Berlin, Germany',
+    description: 'On-site in our Berlin office. Node.js, Express and PostgreSQL. 0-2 years of experience.'
+  }, profile);
+
+  assert.equal(result.scoreBreakdown.location, 10);
+  assert.ok(result.fitScore < profile.fitThresholds.maybeFit);
+  assert.equal(result.classification, 'IGNORE');
+  assert.ok(result.concerns.includes("outside the profile's locations"));
+});
+
+test('one year over the range only lowers the score', () => {
+  const result = classifyOffline({
+    title: 'Node.js Developer',
+    company: 'Shipwise',
+    location: 'Pune',
+    description: 'Node.js, Express and PostgreSQL. 3-5 years of experience.'
+  }, profile);
+
+  assert.equal(result.scoreBreakdown.seniority, 65);
+  assert.notEqual(result.classification, 'IGNORE');
+});
@@ -0,0 +1,20 @@
+/**
+ * Profiles from the request
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { loadProfile } = await import('../utils/profile.js');
+
+test('loads named and inline profiles', () => {
+  assert.equal(loadProfile().name, 'default');
+  assert.deepEqual(loadProfile({ name: 'go', stack: ['Go'] }).stack, ['Go']);
+});
+
+test('unknown names and invalid inline profiles are 400s', () => {
+  assert.throws(() => loadProfile('nope'), { statusCode: 400, message: /Unknown profile "nope"/ });
+  assert.throws(() => loadProfile({ name: 'empty', stack: [] }), { statusCode: 400, message: /at least one stack technology/ });
+  assert.throws(() => loadProfile({ stack: ['Go'], experience: { min: 5, max: 1 } }), { statusCode: 400 });
+  assert.throws(() => loadProfile({ stack: ['Go'], minSalary: 'competitive' }), { statusCode: 400, message: /Invalid minSalary/ });
+});
@@ -0,0 +1,89 @@
+/**
+ * Resuming a run on another instance from the mirrored checkpoint
+ * The "_state" tab is replaced by an in-memory map and the source by a fixture.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-runs-'));
+Object.assign(process.env, {
+  SHEET_SYNC: 'off',
+  LLM_PROVIDERS: 'none',
+  RATE_LIMIT_USAGE_PATH: path.join(tmpDir, 'usage.json'),
+  JOB_STORE_PATH: path.join(tmpDir, 'jobs.jsonl'),
+  CLASSIFICATION_CACHE_PATH: path.join(tmpDir, 'classifications.jsonl'),
+  RUNS_PATH: path.join(tmpDir, 'runs')
+});
+
+const { createRun, advanceRun, findRun, buildRunReport } = await import('../utils/runs.js');
+const { createJobStore } = await import('../utils/store.js');
+const { loadProfile } = await import('../utils/profile.js');
+
+const FIXTURES = path.join(import.meta.dirname, 'fixtures', 'sources');
+
+// Same functions as utils/state.js; values go through JSON like a sheet cell
+function memoryState() {
+  const rows = new Map();
+  return {
+    rows,
+    async getState(key, defaultValue = null) {
+      return rows.has(key) ? JSON.parse(rows.get(key)) : defaultValue;
+    },
+    async setState(key, value) {
+      rows.set(key, JSON.stringify(value));
+    },
+    async getStateEntries(prefix) {
+      return [...rows].filter(([key]) => key.startsWith(prefix)).map(([key, value]) => ({ key, value: JSON.parse(value) }));
+    },
+    async deleteState(prefix) {
+      const keys = [...rows.keys()].filter(key => key.startsWith(prefix));
+      keys.forEach(key => rows.delete(key));
+      return keys.length;
+    }
+  };
+}
+
+// Slow enough that the time budget runs out during the fetch step
+async function slowRemotive(url) {
+  await new Promise(resolve => setTimeout(resolve, 300));
+  if (!url.startsWith('https://remotive.com/')) {
+    return new Response('not found', { status: 404, statusText: 'Not Found' });
+  }
+  return new Response(fs.readFileSync(path.join(FIXTURES, 'remotive.json')), { status: 200 });
+}
+
+test('a paused run resumes on an instance without its checkpoint or postings', async () => {
+  const state = memoryState();
+  const run = createRun([{ profile: loadProfile(), queries: ['node developer'], location: 'in', sources: ['remotive'] }], { maxJobs: 5 });
+
+  // First instance: fetches, then hands over before classifying anything
+  const first = await advanceRun(run, { store: createJobStore(path.join(tmpDir, 'first.jsonl')), state, fetch: slowRemotive, timeBudgetMs: 200 });
+  assert.equal(first.status, 'paused');
+  assert.equal(first.profiles[0].pendingKeys.length, 2);
+  assert.equal(state.rows.has(`run:${run.runId}:jobs:1`), true);
+
+  // Second instance: empty /tmp
+  fs.rmSync(path.join(process.env.RUNS_PATH, `${run.runId}.json`));
+  const store = createJobStore(path.join(tmpDir, 'second.jsonl'));
+  const restored = await findRun(run.runId, { store, state });
+  assert.equal(restored.status, 'paused');
+  // The postings behind its keys were replayed into this instance's store
+  assert.deepEqual(restored.profiles[0].pendingKeys.map(key => store.getByKey(key)?.job.title),
+    ['Backend Engineer (Node.js)', 'Full Stack Developer']);
+
+  const finished = await advanceRun(restored, { store, state });
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.invocations, 2);
+  assert.equal(buildRunReport(finished, { store }).jobs.length, 2);
+
+  // Done: the postings are dropped from the sheet and the mirror keeps only the report
+  assert.deepEqual([...state.rows.keys()], [`run:${run.runId}`]);
+  const mirrored = await state.getState(`run:${run.runId}`);
+  assert.equal(mirrored.status, 'completed');
+  assert.equal(mirrored.checkpoint, undefined);
+  assert.equal(mirrored.report.processing.processed, 2);
+});
@@ -0,0 +1,70 @@
+/**
+ * Free-text salary parsing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { parseSalaryText, parseMinSalary, normalizeSalary, formatSalary, meetsMinSalary } = await import('../utils/salary.js');
+
+const parse = text => {
+  const raw = parseSalaryText(text);
+  return raw && [raw.min, raw.max, raw.currency, raw.period];
+};
+
+test('reads ranges, currencies, units and periods', () => {
+  assert.deepEqual(parse('$80k - $100k'), [80000, 100000, 'USD', 'year']);
+  assert.deepEqual(parse('€45,000 per year'), [45000, null, 'EUR', 'year']);
+  assert.deepEqual(parse('6-12 LPA'), [600000, 1200000, 'INR', 'year']);
+  assert.deepEqual(parse('INR 8,00,000 - 12,00,000'), [800000, 1200000, 'INR', 'year']);
+  assert.deepEqual(parse('₹ 10 L'), [1000000, null, 'INR', 'year']);
+  assert.deepEqual(parse('£25/hour'), [25, null, 'GBP', 'hour']);
+  assert.deepEqual(parse('$500 per day'), [500, null, 'USD', 'day']);
+  assert.deepEqual(parse('USD 4000 monthly'), [4000, null, 'USD', 'month']);
+  assert.deepEqual(parse('80000-100000'), [80000, 100000, null, 'year']);
+});
+
+test('skips numbers that are not amounts', () => {
+  assert.deepEqual(parse('Up to $150k, 4 days in office'), [null, 150000, 'USD', 'year']);
+  assert.deepEqual(parse('40-50k USD, 401k match'), [40000, 50000, 'USD', 'year']);
+  assert.deepEqual(parse('5 years experience, $100k+'), [100000, null, 'USD', 'year']);
+  assert.equal(parse('2-3 days in office'), null);
+  assert.equal(parse('Competitive'), null);
+  assert.equal(parse('N/A'), null);
+});
+
+test('period words only count as periods', () => {
+  assert.equal(parseSalaryText('$90k, start today').period, 'year');
+  assert.equal(parseSalaryText('$120k, 40 hours a week').period, 'year');
+  assert.equal(parseSalaryText('₹50k pm').period, 'month');
+});
+
+test('"up to" is a ceiling', () => {
+  const salary = normalizeSalary(parseSalaryText('Up to $120,000'));
+  assert.deepEqual([salary.min, salary.max], [null, 120000]);
+  assert.match(formatSalary(salary), /^USD up to 120,000 \/ year/);
+});
+
+test('minSalary accepts plain numbers as text', () => {
+  assert.deepEqual(parseMinSalary('800000'), parseMinSalary(800000));
+  assert.equal(parseMinSalary('8 LPA').amount, 800000);
+  assert.throws(() => parseMinSalary('competitive'), /Invalid minSalary/);
+});
+
+test('the minimum-salary filter ignores estimated salaries', () => {
+  const minSalary = parseMinSalary('8 LPA');
+  const stated = normalizeSalary({ min: 300000, max: 500000, currency: 'INR' });
+  const predicted = normalizeSalary({ min: 300000, max: 500000, currency: 'INR', isPredicted: true });
+
+  assert.equal(meetsMinSalary({ salaryRange: stated }, minSalary), false);
+  assert.equal(meetsMinSalary({ salaryRange: predicted }, minSalary), true);
+  assert.equal(meetsMinSalary({ salaryRange: null }, minSalary), true);
+});
+
+test('reads rupees written as Rs. and lakhs written as lacs', () => {
+  assert.deepEqual(parse('Rs. 8,00,000 - 12,00,000 per annum'), [800000, 1200000, 'INR', 'year']);
+  assert.deepEqual(parse('5 - 7 Lacs P.A.'), [500000, 700000, 'INR', 'year']);
+  assert.deepEqual(parse('Rs 45,000 per month'), [45000, null, 'INR', 'month']);
+  assert.deepEqual(parse('4.5 lac'), [450000, null, 'INR', 'year']);
+  assert.equal(normalizeSalary(parseSalaryText('5 - 7 Lacs P.A.')).lpa.max, 7);
+});
@@ -0,0 +1,38 @@
+/**
+ * Fit score and label
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { computeFitScore, scoreJob, DEFAULT_FIT_THRESHOLDS } = await import('../utils/score.js');
+
+const below = DEFAULT_FIT_THRESHOLDS.maybeFit - 1;
+
+test('the fit score is the weighted average of the known criteria', () => {
+  assert.equal(computeFitScore({ stack: 100, seniority: 100, location: 100, salary: null, company: null }), 100);
+  assert.deepEqual(scoreJob({ stack: 80, seniority: 60, location: 100, salary: null, company: null }),
+    { fitScore: 79, classification: 'GOOD_FIT', scoreBreakdown: { stack: 80, seniority: 60, location: 100, salary: null, company: null } });
+});
+
+test('seniority clearly outside the range rules the job out', () => {
+  const breakdown = { stack: 100, seniority: 0, location: 100, salary: null, company: null };
+  assert.equal(computeFitScore(breakdown), 71);
+  assert.deepEqual([scoreJob(breakdown).fitScore, scoreJob(breakdown).classification], [below, 'IGNORE']);
+});
+
+test('a wrong location rules the job out', () => {
+  const breakdown = { stack: 100, seniority: 100, location: 0, salary: null, company: null };
+  assert.equal(computeFitScore(breakdown), 76);
+  assert.deepEqual([scoreJob(breakdown).fitScore, scoreJob(breakdown).classification], [below, 'IGNORE']);
+});
+
+test('a criterion the profile gives no weight never rules a job out', () => {
+  const profile = { scoreWeights: { stack: 50, seniority: 50, location: 0, salary: 0, company: 0 } };
+  assert.equal(scoreJob({ stack: 100, seniority: 100, location: 0, salary: null, company: null }, profile).classification, 'GOOD_FIT');
+});
+
+test('a deal-breaker caps the score below MAYBE_FIT', () => {
+  const result = scoreJob({ stack: 100, seniority: 100, location: 100, salary: null, company: null }, {}, { dealBreaker: true });
+  assert.deepEqual([result.fitScore, result.classification], [below, 'IGNORE']);
+});
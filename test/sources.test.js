@@ -0,0 +1,171 @@
+/**
+ * Job source adapters against fixture responses (no network)
+ * Each adapter gets an injected `fetch` that serves files from
+ * test/fixtures/sources and fails on any URL it wasn't given.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep rate-limit bookkeeping out of data/
+process.env.RATE_LIMIT_USAGE_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-test-')), 'usage.json');
+
+const { default: remotive } = await import('../utils/sources/remotive.js');
+const { default: arbeitnow } = await import('../utils/sources/arbeitnow.js');
+const { default: greenhouse } = await import('../utils/sources/greenhouse.js');
+const { default: lever } = await import('../utils/sources/lever.js');
+const { default: rss, parseRssFeed } = await import('../utils/sources/rss.js');
+const { fetchFromSources } = await import('../utils/sources/index.js');
+
+const FIXTURES = path.join(import.meta.dirname, 'fixtures', 'sources');
+
+// url → fixture file; records every requested URL
+function fixtureFetch(routes) {
+  const requested = [];
+  const fetchImpl = async (url, init) => {
+    requested.push(url);
+    const file = routes[url];
+    if (!file) {
+      return new Response('not found', { status: 404, statusText: 'Not Found' });
+    }
+    assert.equal(init.method, 'GET');
+    return new Response(fs.readFileSync(path.join(FIXTURES, file)), { status: 200 });
+  };
+  return { fetch: fetchImpl, requested };
+}
+
+test('remotive maps jobs, HTML descriptions and free-text salaries', async () => {
+  const { fetch } = fixtureFetch({
+    'https://remotive.com/api/remote-jobs?search=node+developer&limit=20': 'remotive.json'
+  });
+  const result = await remotive.fetchJobs('node developer', { fetch });
+
+  assert.equal(result.success, true);
+  assert.equal(result.total, 2);
+  const [backend, fullStack] = result.jobs;
+  assert.deepEqual(
+    { id: backend.id, title: backend.title, company: backend.company, location: backend.location, source: backend.source },
+    { id: '1984213', title: 'Backend Engineer (Node.js)', company: 'Shipwise', location: 'Worldwide', source: 'remotive' }
+  );
+  assert.equal(backend.applyLink, 'https://remotive.com/remote-jobs/software-dev/backend-engineer-node-js-1984213');
+  assert.equal(backend.description, 'We build logistics APIs.\nNode.js & Express\nPostgreSQL');
+  assert.deepEqual([backend.salaryRange.min, backend.salaryRange.max, backend.salaryRange.currency], [80000, 100000, 'USD']);
+  assert.equal(backend.postedDate, new Date('2024-01-14T09:12:44').toISOString());
+
+  // Blank location means remote; unparseable salaries are kept as text
+  assert.equal(fullStack.title, 'Full Stack Developer');
+  assert.equal(fullStack.location, 'Remote');
+  assert.equal(fullStack.salaryRange, null);
+  assert.equal(fullStack.salary, 'Competitive');
+});
+
+test('arbeitnow follows links.next and stops on the last page', async () => {
+  const { fetch, requested } = fixtureFetch({
+    'https://www.arbeitnow.com/api/job-board-api?page=1': 'arbeitnow-page1.json',
+    'https://www.arbeitnow.com/api/job-board-api?page=2': 'arbeitnow-page2.json'
+  });
+  const result = await arbeitnow.fetchJobs(null, { pages: 5, fetch });
+
+  assert.equal(requested.length, 2);
+  assert.deepEqual(result.jobs.map(job => job.id), [
+    'junior-node-js-developer-berlin-velotaxi-312784',
+    'java-backend-engineer-munich-bankcore-312790',
+    'react-developer-remote-pixelhaus-312801'
+  ]);
+  assert.equal(result.jobs[0].location, 'Berlin');
+  assert.equal(result.jobs[1].location, 'Munich (Remote)');
+  assert.equal(result.jobs[0].description, 'On-site in Berlin. Node.js , TypeScript and PostgreSQL.');
+  // created_at is in seconds
+  assert.equal(result.jobs[0].postedDate, '2024-01-14T09:20:00.000Z');
+});
+
+test('greenhouse decodes entity-escaped content and falls back to the board name', async () => {
+  const { fetch } = fixtureFetch({
+    'https://boards-api.greenhouse.io/v1/boards/vercel/jobs?content=true': 'greenhouse.json'
+  });
+  const result = await greenhouse.fetchJobs(null, { boards: ['vercel'], fetch });
+
+  const [engineer, marketing] = result.jobs;
+  assert.equal(engineer.id, '5012345004');
+  assert.equal(engineer.company, 'Vercel');
+  assert.equal(engineer.location, 'Remote - India');
+  assert.equal(engineer.description, 'Build the platform with Node.js & Go.\n2+ years');
+  assert.equal(engineer.postedDate, '2024-01-10T13:00:00.000Z');
+  assert.equal(marketing.company, 'vercel');
+  assert.equal(marketing.location, 'N/A');
+  assert.equal(marketing.postedDate, '2024-01-11T17:00:00.000Z');
+});
+
+test('lever joins description lists and normalizes the salary range', async () => {
+  const { fetch } = fixtureFetch({
+    'https://api.lever.co/v0/postings/ledgerly?mode=json': 'lever.json'
+  });
+  const result = await lever.fetchJobs(null, { boards: ['ledgerly'], fetch });
+
+  const [backend, designer] = result.jobs;
+  assert.equal(backend.title, 'Backend Engineer');
+  assert.equal(backend.company, 'ledgerly');
+  assert.equal(backend.location, 'Bengaluru');
+  assert.equal(backend.applyLink, 'https://jobs.lever.co/ledgerly/6f1c9a2e-3b4d-4e5f-8a9b-0c1d2e3f4a5b');
+  assert.equal(backend.description, [
+    'Join the platform team building our Node.js services.',
+    "What you'll do",
+    'Design REST APIs\nRun PostgreSQL in production',
+    'We sponsor visas.'
+  ].join('\n'));
+  assert.deepEqual(
+    [backend.salaryRange.min, backend.salaryRange.max, backend.salaryRange.currency, backend.salaryRange.period],
+    [1200000, 1800000, 'INR', 'year']
+  );
+  assert.equal(backend.postedDate, new Date(1705050000000).toISOString());
+
+  // No location category: the workplace type stands in
+  assert.equal(designer.location, 'remote');
+  assert.equal(designer.salaryRange, null);
+  assert.equal(designer.salary, 'N/A');
+});
+
+test('rss reads "Company: Role" titles, CDATA and escaped descriptions', async () => {
+  const feedUrl = 'https://weworkremotely.com/categories/remote-back-end-programming-jobs.rss';
+  const { fetch } = fixtureFetch({ [feedUrl]: 'weworkremotely.rss' });
+  const result = await rss.fetchJobs(null, { feeds: [feedUrl], fetch });
+
+  const [typescript, senior] = result.jobs;
+  assert.equal(typescript.company, 'Opsgrid');
+  assert.equal(typescript.title, 'TypeScript Backend Engineer');
+  assert.equal(typescript.location, 'Anywhere in the World');
+  assert.equal(typescript.description, 'Headquarters: Remote\nServices in TypeScript on Node.js & NestJS.');
+  assert.equal(typescript.applyLink, 'https://weworkremotely.com/remote-jobs/opsgrid-typescript-backend-engineer');
+  assert.equal(typescript.postedDate, '2024-01-14T10:15:00.000Z');
+  assert.equal(senior.company, 'Streamly & Co');
+  assert.equal(senior.description, '7+ years of Node.js.');
+});
+
+test('rss also reads Atom entries', () => {
+  const xml = fs.readFileSync(path.join(FIXTURES, 'atom.xml'), 'utf8');
+  const [job] = parseRssFeed(xml, 'https://careers.tinyloop.dev/feed');
+
+  assert.equal(job.title, 'JavaScript Developer');
+  assert.equal(job.company, 'careers.tinyloop.dev');
+  assert.equal(job.applyLink, 'https://careers.tinyloop.dev/jobs/42');
+  assert.equal(job.description, 'Node.js and React products.');
+  assert.equal(job.postedDate, '2024-01-12T09:00:00.000Z');
+});
+
+test('fetchFromSources filters non-searchable boards by query and reports failing sources', async () => {
+  const { fetch } = fixtureFetch({
+    'https://api.lever.co/v0/postings/ledgerly?mode=json': 'lever.json'
+  });
+  const result = await fetchFromSources(['node.js developer'], {
+    sources: [{ name: 'lever', boards: ['ledgerly'] }, { name: 'greenhouse', boards: ['missing'] }],
+    fetch
+  });
+
+  assert.deepEqual(result.jobs.map(job => job.title), ['Backend Engineer']);
+  assert.equal(result.jobs[0].searchQuery, 'node.js developer');
+  assert.equal(result.sources.lever.fetched, 1);
+  assert.match(result.sources.greenhouse.error, /404/);
+});
@@ -0,0 +1,109 @@
+/**
+ * Job store round trip against a temporary JOB_STORE_PATH
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-store-'));
+process.env.JOB_STORE_PATH = path.join(tmpDir, 'jobs.jsonl');
+
+const { createJobStore, recordToJob, jobKey } = await import('../utils/store.js');
+
+const nodeJob = {
+  id: 'r-1',
+  title: 'Node.js Developer',
+  company: 'Shipwise',
+  location: 'Remote',
+  description: 'Express and PostgreSQL',
+  applyLink: 'https://jobs.example.com/node-developer?utm_source=feed',
+  source: 'remotive',
+  searchQuery: 'node developer'
+};
+
+const javaJob = {
+  id: 'a-7',
+  title: 'Java Engineer',
+  company: 'Bankcore',
+  location: 'Munich',
+  description: 'Spring Boot',
+  applyLink: 'https://jobs.example.com/java-engineer',
+  source: 'arbeitnow',
+  searchQuery: 'backend'
+};
+
+const verdict = {
+  aiClassification: 'GOOD_FIT',
+  fitScore: 82,
+  aiSummary: 'Node.js backend role',
+  matchedSkills: ['Node.js', 'PostgreSQL'],
+  concerns: [],
+  processed: true
+};
+
+test('records, classifies, queries and syncs, and survives a reload', () => {
+  const store = createJobStore();
+  assert.equal(store.filePath, process.env.JOB_STORE_PATH);
+
+  assert.equal(store.recordFetched([nodeJob, javaJob], 'default'), 2);
+  // Seen again (tracking params differ): not new, but the sighting is kept
+  assert.equal(store.recordFetched([{ ...nodeJob, applyLink: 'https://jobs.example.com/node-developer' }], 'default'), 0);
+  // Another profile keeps its own record of the same job
+  assert.equal(store.recordFetched([nodeJob], 'frontend'), 1);
+
+  const fetched = store.get('default', nodeJob);
+  assert.equal(fetched.key, `default::${jobKey(nodeJob)}`);
+  assert.equal(fetched.classification, null);
+  assert.deepEqual(fetched.history.map(entry => entry.event), ['fetched', 'seen']);
+
+  // Only classified records are waiting for the sheet
+  assert.deepEqual(store.pendingSync('default', 'Jobs'), []);
+
+  store.recordClassification({ ...nodeJob, ...verdict }, 'default');
+  store.recordClassification({ ...javaJob, aiClassification: 'IGNORE', fitScore: 10, aiSummary: 'Java' }, 'default');
+  assert.equal(store.get('default', nodeJob).version, 1);
+
+  // The same verdict again (a cache hit) changes nothing
+  store.recordClassification({ ...nodeJob, ...verdict }, 'default');
+  assert.equal(store.get('default', nodeJob).version, 1);
+
+  assert.deepEqual(store.query({ profile: 'default', classification: 'GOOD_FIT' }).map(r => r.job.title), ['Node.js Developer']);
+  assert.deepEqual(store.query({ source: 'arbeitnow' }).map(r => r.job.title), ['Java Engineer']);
+  assert.deepEqual(store.query({ search: 'spring' }).map(r => r.profile), ['default']);
+  assert.equal(store.query({ profile: 'frontend' }).length, 1);
+
+  // Sync projection: pending per tab until marked, pending again after a reclassification
+  const pending = store.pendingSync('default', 'Jobs');
+  assert.equal(pending.length, 2);
+  store.markSynced(pending, 'Jobs');
+  assert.deepEqual(store.pendingSync('default', 'Jobs'), []);
+  assert.equal(store.pendingSync('default', 'Other Tab').length, 2);
+
+  store.recordClassification({ ...nodeJob, ...verdict, aiClassification: 'MAYBE_FIT', fitScore: 55 }, 'default');
+  const reclassified = store.pendingSync('default', 'Jobs');
+  assert.deepEqual(reclassified.map(r => [r.version, r.syncedTo.Jobs]), [[2, 1]]);
+  store.markSynced(reclassified, 'Jobs', 'row-updated');
+
+  const job = recordToJob(store.get('default', nodeJob));
+  assert.equal(job.aiClassification, 'MAYBE_FIT');
+  assert.equal(job.profile, 'default');
+  assert.equal(job.description, 'Express and PostgreSQL');
+
+  // A fresh store reads back the last snapshot of every record
+  const reloaded = createJobStore();
+  const record = reloaded.get('default', nodeJob);
+  // (undefined fields such as a first verdict's `from` don't survive JSON)
+  assert.deepEqual(record, JSON.parse(JSON.stringify(store.get('default', nodeJob))));
+  assert.deepEqual(record.history.map(entry => entry.event),
+    ['fetched', 'seen', 'classified', 'synced', 'reclassified', 'row-updated']);
+  assert.deepEqual(reloaded.pendingSync('default', 'Jobs'), []);
+
+  // Compaction keeps one line per record
+  reloaded.compact();
+  const lines = fs.readFileSync(process.env.JOB_STORE_PATH, 'utf8').trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.deepEqual(createJobStore().get('default', javaJob), reloaded.get('default', javaJob));
+});
@@ -0,0 +1,46 @@
+/**
+ * Upload and resume errors are client errors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+
+const { parseMultipartForm } = await import('../utils/upload.js');
+const { extractResumeText, extractSkillsFromResume } = await import('../utils/resumeParser.js');
+
+const BOUNDARY = 'job-scout-boundary';
+
+function multipartRequest(parts) {
+  const body = parts.map(({ name, filename, content }) => [
+    `--${BOUNDARY}`,
+    `Content-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}`,
+    ...(filename ? ['Content-Type: application/octet-stream'] : []),
+    '',
+    content
+  ].join('\r\n')).join('\r\n') + `\r\n--${BOUNDARY}--\r\n`;
+
+  const req = Readable.from([Buffer.from(body)]);
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+  return req;
+}
+
+test('reads fields and the uploaded file', async () => {
+  const { fields, files } = await parseMultipartForm(multipartRequest([
+    { name: 'profile', content: 'default' },
+    { name: 'resume', filename: 'cv.txt', content: 'Node.js developer' }
+  ]));
+  assert.equal(fields.profile, 'default');
+  assert.equal(files.resume.buffer.toString(), 'Node.js developer');
+});
+
+test('a file over 5 MB is a 413', async () => {
+  const request = multipartRequest([{ name: 'resume', filename: 'cv.txt', content: 'x'.repeat(5 * 1024 * 1024 + 1) }]);
+  await assert.rejects(parseMultipartForm(request), { statusCode: 413, message: /exceeds 5 MB/ });
+});
+
+test('unreadable resumes are 400s', async () => {
+  await assert.rejects(extractResumeText(Buffer.from('GIF89a'), { filename: 'cv.gif', mimeType: 'image/gif' }),
+    { statusCode: 400, message: /Unsupported resume format/ });
+  await assert.rejects(extractSkillsFromResume('   '), { statusCode: 400, message: 'Resume text is empty' });
+});
@@ -0,0 +1,40 @@
+/**
+ * Career-page watcher without the sheet (SHEET_SYNC=off, offline classifier)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scout-watch-'));
+Object.assign(process.env, {
+  SHEET_SYNC: 'off',
+  LLM_PROVIDERS: 'none',
+  RATE_LIMIT_USAGE_PATH: path.join(tmpDir, 'usage.json'),
+  JOB_STORE_PATH: path.join(tmpDir, 'jobs.jsonl'),
+  CLASSIFICATION_CACHE_PATH: path.join(tmpDir, 'classifications.jsonl')
+});
+
+const { runWatchlist } = await import('../utils/watcher.js');
+const { loadProfile } = await import('../utils/profile.js');
+
+const FIXTURE = fs.readFileSync(path.join(import.meta.dirname, 'fixtures', 'sources', 'greenhouse.json'));
+const fetch = async url => {
+  assert.equal(url, 'https://boards-api.greenhouse.io/v1/boards/vercel/jobs?content=true');
+  return new Response(FIXTURE, { status: 200 });
+};
+
+test('the job store stands in for seen postings when sheet sync is off', async () => {
+  const watchlist = [{ provider: 'greenhouse', board: 'vercel' }];
+  const profile = loadProfile();
+
+  const first = await runWatchlist(watchlist, { profile, fetch });
+  assert.deepEqual(first.boards, [{ provider: 'greenhouse', board: 'vercel', postings: 2, new: 2 }]);
+  assert.equal(first.jobs.length, 2);
+
+  const second = await runWatchlist(watchlist, { profile, fetch });
+  assert.deepEqual(second.boards, [{ provider: 'greenhouse', board: 'vercel', postings: 2, new: 0 }]);
+  assert.equal(second.jobs.length, 0);
+});
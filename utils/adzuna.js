@@ -3,8 +3,19 @@
  * Free tier: 1000 requests/month
  */
 
+import { canonicalizeUrl } from './dedupe.js';
+import { rateLimitedFetch } from './rateLimit.js';
+import { normalizeSalary, formatSalary, currencyForAdzunaCountry } from './salary.js';
+
 const ADZUNA_BASE_URL = 'https://api.adzuna.com/v1/api';
 
+// Adzuna caps results_per_page at 50; keep page depth sane for the free quota
+const MAX_RESULTS_PER_PAGE = 50;
+const MAX_PAGES = 10;
+
+// Stop paging once this share of a page is already in the sheet
+const KNOWN_RATIO_THRESHOLD = 0.8;
+
 // ✅ Mapping country names to ISO codes
 const COUNTRY_MAP = {
   india: 'in',
@@ -18,13 +29,99 @@ const COUNTRY_MAP = {
   france: 'fr'
 };
 
+// Adzuna search filters we pass through, by value type
+const ADZUNA_FILTERS = {
+  where: 'text',          // city / area within the country
+  distance: 'number',     // km around "where"
+  salary_min: 'number',
+  full_time: 'flag',
+  contract: 'flag',
+  permanent: 'flag',
+  max_days_old: 'number',
+  what_exclude: 'text',   // space separated words to exclude
+  sort_by: 'sort',
+  category: 'text'        // Adzuna category tag, e.g. "it-jobs"
+};
+
+const SORT_OPTIONS = ['default', 'hybrid', 'date', 'salary', 'relevance'];
+
+// Pull the filter keys out of a request body, profile or query object
+export function pickAdzunaFilters(source = {}) {
+  return Object.fromEntries(
+    Object.keys(ADZUNA_FILTERS)
+      .filter(key => source[key] !== undefined && source[key] !== null && source[key] !== '')
+      .map(key => [key, source[key]])
+  );
+}
+
+// Validate filters and turn them into Adzuna query params
+export function buildFilterParams(filters = {}) {
+  const params = {};
+  
+  for (const [key, value] of Object.entries(pickAdzunaFilters(filters))) {
+    switch (ADZUNA_FILTERS[key]) {
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+          throw new Error(`Invalid Adzuna filter ${key}: expected a non-negative integer, got ${JSON.stringify(value)}`);
+        }
+        params[key] = String(number);
+        break;
+      }
+      case 'flag':
+        if (value === true || value === 1 || value === '1' || value === 'true') {
+          params[key] = '1';
+        }
+        break;
+      case 'sort':
+        if (!SORT_OPTIONS.includes(value)) {
+          throw new Error(`Invalid Adzuna filter sort_by: expected one of ${SORT_OPTIONS.join(', ')}`);
+        }
+        params[key] = value;
+        break;
+      default:
+        params[key] = Array.isArray(value) ? value.join(' ') : String(value).trim();
+    }
+  }
+  
+  return params;
+}
+
 function normalizeLocation(location) {
   if (!location) return 'in'; // default
   const key = location.toLowerCase().replace(/\s+/g, '');
   return COUNTRY_MAP[key] || location.toLowerCase();
 }
 
-export async function fetchJobs(query, location = 'in', page = 1) {
+export function mapAdzunaJob(job, countryCode = 'in') {
+  // Adzuna salaries are yearly, in the country's currency; some are Adzuna's own estimates
+  const salaryRange = normalizeSalary({
+    min: job.salary_min,
+    max: job.salary_max,
+    currency: currencyForAdzunaCountry(countryCode),
+    period: 'year',
+    isPredicted: String(job.salary_is_predicted) === '1'
+  });
+
+  return {
+    id: job.id,
+    title: job.title?.trim() || 'N/A',
+    company: job.company?.display_name?.trim() || 'N/A',
+    location: job.location?.display_name?.trim() || 'N/A',
+    description: job.description?.trim() || 'N/A',
+    applyLink: job.redirect_url || job.url || 'N/A',
+    salary: salaryRange ? formatSalary(salaryRange) : 'N/A',
+    salaryRange,
+    postedDate: job.created || new Date().toISOString(),
+    source: 'adzuna'
+  };
+}
+
+export async function fetchJobs(query, location = 'in', page = 1, {
+  resultsPerPage = 20,
+  filters = {},
+  fetch: fetchImpl = fetch
+} = {}) {
   const appId = process.env.ADZUNA_APP_ID;
   const appKey = process.env.ADZUNA_APP_KEY;
   
@@ -38,8 +135,9 @@ export async function fetchJobs(query, location = 'in', page = 1) {
   const params = new URLSearchParams({
     app_id: appId,
     app_key: appKey,
-    results_per_page: '20',
+    results_per_page: String(Math.min(Math.max(parseInt(resultsPerPage) || 20, 1), MAX_RESULTS_PER_PAGE)),
     what: query,
+    ...buildFilterParams(filters),
     'content-type': 'application/json'  // 🔥 fix underscore → dash
   });
 
@@ -48,13 +146,13 @@ export async function fetchJobs(query, location = 'in', page = 1) {
   try {
     console.log(`🔍 Fetching jobs from Adzuna: ${url}`);
     
-    const response = await fetch(url, {
+    const response = await rateLimitedFetch('adzuna', url, {
       method: 'GET',
       headers: {
         'Accept': 'application/json',
         'User-Agent': 'JobScoutAgent/1.0'
       }
-    });
+    }, { fetch: fetchImpl });
 
     if (!response.ok) {
       throw new Error(`Adzuna API error: ${response.status} ${response.statusText}`);
@@ -66,16 +164,7 @@ export async function fetchJobs(query, location = 'in', page = 1) {
     
     return {
       success: true,
-      jobs: data.results?.map(job => ({
-        id: job.id,
-        title: job.title?.trim() || 'N/A',
-        company: job.company?.display_name?.trim() || 'N/A',
-        location: job.location?.display_name?.trim() || 'N/A',
-        description: job.description?.trim() || 'N/A',
-        applyLink: job.redirect_url || job.url || 'N/A',
-        salary: job.salary_max ? `${job.salary_min || 0} - ${job.salary_max}` : 'N/A',
-        postedDate: job.created || new Date().toISOString()
-      })) || [],
+      jobs: data.results?.map(job => mapAdzunaJob(job, countryCode)) || [],
       total: data.count || 0
     };
   } catch (error) {
@@ -88,35 +177,44 @@ export async function fetchJobs(query, location = 'in', page = 1) {
   }
 }
 
-export async function fetchMultipleQueries(queries, location = 'in') {
-  const allJobs = [];
-  const countryCode = normalizeLocation(location);
+// Walk result pages for one query until the depth is reached, Adzuna runs out
+// of results, or the page is mostly jobs we already have
+export async function fetchQueryPages(query, location = 'in', {
+  pages = 1,
+  resultsPerPage = 20,
+  filters = {},
+  knownLinks = new Set(), // canonical URLs, see getExistingLinks
+  fetch
+} = {}) {
+  const depth = Math.min(Math.max(parseInt(pages) || 1, 1), MAX_PAGES);
+  const perPage = Math.min(Math.max(parseInt(resultsPerPage) || 20, 1), MAX_RESULTS_PER_PAGE);
+  const jobs = [];
+  const stats = { query, pages: 0, fetched: 0, known: 0, total: 0, stoppedBecause: 'depth' };
   
-  for (const query of queries) {
-    try {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Rate limiting
-      const result = await fetchJobs(query, countryCode);
-      
-      if (result.success) {
-        const jobsWithQuery = result.jobs.map(job => ({
-          ...job,
-          searchQuery: query
-        }));
-        allJobs.push(...jobsWithQuery);
-      }
-    } catch (error) {
-      console.error(`❌ Failed to fetch jobs for query: ${query}`, error);
+  for (let page = 1; page <= depth; page++) {
+    const result = await fetchJobs(query, location, page, { resultsPerPage: perPage, filters, fetch });
+    if (!result.success) {
+      stats.error = result.error;
+      stats.stoppedBecause = 'error';
+      break;
+    }
+    
+    const knownOnPage = result.jobs.filter(job => knownLinks.has(canonicalizeUrl(job.applyLink))).length;
+    jobs.push(...result.jobs);
+    stats.pages = page;
+    stats.fetched += result.jobs.length;
+    stats.known += knownOnPage;
+    stats.total = result.total;
+    
+    if (result.jobs.length === 0 || page * perPage >= result.total) {
+      stats.stoppedBecause = 'exhausted';
+      break;
+    }
+    if (result.jobs.length > 0 && knownOnPage / result.jobs.length >= KNOWN_RATIO_THRESHOLD) {
+      stats.stoppedBecause = 'mostly-known';
+      break;
     }
   }
   
-  // Remove duplicates based on apply link
-  const uniqueJobs = allJobs.filter((job, index, self) => 
-    index === self.findIndex(j => j.applyLink === job.applyLink)
-  );
-  
-  return {
-    success: true,
-    jobs: uniqueJobs,
-    total: uniqueJobs.length
-  };
+  return { success: !stats.error || jobs.length > 0, jobs, total: stats.total, stats };
 }
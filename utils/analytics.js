@@ -0,0 +1,201 @@
+/**
+ * Application pipeline analytics
+ * Built from a profile's sheet rows (status, history, query, source, dates)
+ * joined with the local job store (matched skills) by canonical apply link.
+ * Tells which queries and sources are worth spending API quota on.
+ */
+
+import { readSheetRows } from './sheets.js';
+import { getJobStore } from './store.js';
+import { isSheetSyncEnabled } from './sync.js';
+import { canonicalizeUrl } from './dedupe.js';
+import { normalizeStatus, parseStatusHistory } from './status.js';
+
+// Funnel order; Rejected/Withdrawn/Not Interested end a job at whatever stage it had reached
+const FUNNEL = ['New', 'Shortlisted', 'Applied', 'Interviewing', 'Offer'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sheet dates are written with toLocaleDateString('en-IN') (d/m/yyyy); ISO also accepted
+function toDay(value) {
+  const text = String(value || '').trim();
+  const indian = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (indian) {
+    const [, day, month, year] = indian;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString().slice(0, 10);
+}
+
+function rate(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function top(counts, limit, key) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1].total - a[1].total)
+    .slice(0, limit)
+    .map(([name, value]) => ({ [key]: name, ...value }));
+}
+
+// Rows from the sheet, or the store alone when sheet sync is off (no statuses then)
+async function loadItems(profile, store) {
+  const records = store.query({ profile: profile.name });
+  const skillsByLink = new Map(records.map(record => [
+    canonicalizeUrl(record.job.applyLink),
+    record.classification?.matchedSkills || []
+  ]));
+
+  if (!isSheetSyncEnabled()) {
+    return records.filter(record => record.classification).map(record => ({
+      day: record.firstSeen.slice(0, 10),
+      company: record.job.company,
+      classification: record.classification.aiClassification,
+      fitScore: record.classification.fitScore ?? null,
+      status: 'New',
+      history: [],
+      postedDate: record.job.postedDate,
+      sources: (record.job.sources || [record.job.source]).filter(Boolean),
+      query: record.job.searchQuery || '',
+      skills: record.classification.matchedSkills || []
+    }));
+  }
+
+  const rows = await readSheetRows(profile.sheetName);
+  return rows.map(({ values }) => ({
+    day: toDay(values.Date),
+    company: values.Company,
+    classification: values['AI Classification'],
+    fitScore: values['Fit Score'] === '' ? null : Number(values['Fit Score']),
+    status: normalizeStatus(values.Status) || 'New',
+    history: parseStatusHistory(values['Status History']),
+    postedDate: values['Posted Date'],
+    sources: values.Source.split(',').map(source => source.trim()).filter(Boolean),
+    query: values['Search Query'],
+    skills: skillsByLink.get(canonicalizeUrl(values['Apply Link'])) || []
+  }));
+}
+
+// Furthest funnel stage a job has reached, from its history and current status
+function furthestStage(item) {
+  const seen = [item.status, ...item.history.flatMap(entry => [entry.from, entry.to])];
+  return Math.max(0, ...seen.map(status => FUNNEL.indexOf(status)));
+}
+
+export function buildAnalytics(items, { topLimit = 10 } = {}) {
+  const goodFit = item => item.classification === 'GOOD_FIT';
+
+  // Conversion between consecutive funnel stages
+  const reached = FUNNEL.map((status, stage) => items.filter(item => furthestStage(item) >= stage).length);
+  const conversions = FUNNEL.slice(1).map((to, index) => ({
+    from: FUNNEL[index],
+    to,
+    count: reached[index + 1],
+    rate: rate(reached[index + 1], reached[index])
+  }));
+  const statusCounts = {};
+  items.forEach(item => { statusCounts[item.status] = (statusCounts[item.status] || 0) + 1; });
+
+  // GOOD_FIT rate, average fit score and applications per query and per source
+  const breakdown = (keysOf) => {
+    const groups = new Map();
+    for (const item of items) {
+      for (const key of keysOf(item)) {
+        const group = groups.get(key) || { total: 0, goodFit: 0, applied: 0, scores: [] };
+        group.total++;
+        group.goodFit += goodFit(item) ? 1 : 0;
+        group.applied += furthestStage(item) >= FUNNEL.indexOf('Applied') ? 1 : 0;
+        if (Number.isFinite(item.fitScore)) group.scores.push(item.fitScore);
+        groups.set(key, group);
+      }
+    }
+    return [...groups.entries()]
+      .map(([name, { scores, ...group }]) => ({
+        name,
+        ...group,
+        goodFitRate: rate(group.goodFit, group.total),
+        avgFitScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+      }))
+      .sort((a, b) => b.goodFitRate - a.goodFitRate || b.total - a.total);
+  };
+
+  // Jobs per day
+  const days = new Map();
+  for (const item of items.filter(item => item.day)) {
+    const day = days.get(item.day) || { total: 0, goodFit: 0 };
+    day.total++;
+    day.goodFit += goodFit(item) ? 1 : 0;
+    days.set(item.day, day);
+  }
+
+  const companies = new Map();
+  for (const item of items) {
+    const company = companies.get(item.company) || { total: 0, goodFit: 0 };
+    company.total++;
+    company.goodFit += goodFit(item) ? 1 : 0;
+    companies.set(item.company, company);
+  }
+
+  const skills = new Map();
+  for (const item of items) {
+    for (const skill of new Set(item.skills.map(s => String(s).trim().toLowerCase()).filter(Boolean))) {
+      skills.set(skill, { total: (skills.get(skill)?.total || 0) + 1 });
+    }
+  }
+
+  // Days from the posting date to the first move into Applied
+  const daysToApply = items
+    .map(item => {
+      const applied = item.history.find(entry => entry.to === 'Applied');
+      const posted = Date.parse(item.postedDate);
+      const at = applied && Date.parse(applied.at);
+      return applied && !Number.isNaN(posted) && !Number.isNaN(at) ? (at - posted) / DAY_MS : null;
+    })
+    .filter(value => value != null && value >= 0);
+
+  return {
+    total: items.length,
+    classification: {
+      goodFit: items.filter(goodFit).length,
+      maybeFit: items.filter(item => item.classification === 'MAYBE_FIT').length,
+      ignore: items.filter(item => item.classification === 'IGNORE').length,
+      goodFitRate: rate(items.filter(goodFit).length, items.length)
+    },
+    statuses: statusCounts,
+    conversions,
+    applicationRate: rate(reached[FUNNEL.indexOf('Applied')], items.length),
+    byQuery: breakdown(item => [item.query || '(none)']).map(({ name, ...group }) => ({ query: name, ...group })),
+    bySource: breakdown(item => (item.sources.length > 0 ? item.sources : ['unknown'])).map(({ name, ...group }) => ({ source: name, ...group })),
+    perDay: [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, day]) => ({ date, ...day })),
+    topCompanies: top(companies, topLimit, 'company'),
+    topSkills: top(skills, topLimit, 'skill'),
+    timeToApply: {
+      medianDays: daysToApply.length > 0 ? Math.round(median(daysToApply) * 10) / 10 : null,
+      samples: daysToApply.length
+    }
+  };
+}
+
+export async function getAnalytics(profile, { days = null, store = getJobStore(), topLimit } = {}) {
+  let items = await loadItems(profile, store);
+
+  if (days) {
+    const since = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+    items = items.filter(item => item.day && item.day >= since);
+  }
+
+  return {
+    profile: profile.name,
+    sheetName: profile.sheetName,
+    window: days ? { days } : null,
+    ...buildAnalytics(items, { topLimit })
+  };
+}
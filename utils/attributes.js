@@ -0,0 +1,167 @@
+/**
+ * Structured job attributes
+ * Extracted from the description during classification, validated against
+ * ATTRIBUTE_SCHEMA (a small JSON Schema subset) and written to their own
+ * sheet columns. Values that fail validation fall back to null / "unknown".
+ */
+
+import { normalizeSalary, formatSalary } from './salary.js';
+
+const nullable = schema => ({ ...schema, nullable: true });
+
+export const ATTRIBUTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    // Years of experience the posting asks for
+    experience: {
+      type: 'object',
+      properties: {
+        min: nullable({ type: 'number', minimum: 0, maximum: 50 }),
+        max: nullable({ type: 'number', minimum: 0, maximum: 50 })
+      },
+      default: { min: null, max: null }
+    },
+    workMode: { type: 'string', enum: ['remote', 'hybrid', 'onsite', 'unknown'], default: 'unknown' },
+    employmentType: {
+      type: 'string',
+      enum: ['full-time', 'part-time', 'contract', 'internship', 'freelance', 'temporary', 'unknown'],
+      default: 'unknown'
+    },
+    techStack: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 30, default: [] },
+    // 0 means an immediate joiner is wanted
+    noticePeriodDays: nullable({ type: 'number', integer: true, minimum: 0, maximum: 365, default: null }),
+    visaSponsorship: { type: 'string', enum: ['yes', 'no', 'unknown'], default: 'unknown' },
+    salary: {
+      type: 'object',
+      properties: {
+        min: nullable({ type: 'number', minimum: 0 }),
+        max: nullable({ type: 'number', minimum: 0 }),
+        currency: nullable({ type: 'string', pattern: '^[A-Z]{3}$' }),
+        period: nullable({ type: 'string', enum: ['year', 'month', 'week', 'day', 'hour'] })
+      },
+      default: { min: null, max: null, currency: null, period: null }
+    }
+  }
+};
+
+function defaultFor(schema) {
+  if (schema.default !== undefined) return structuredClone(schema.default);
+  if (schema.type === 'object') {
+    return Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, defaultFor(child)]));
+  }
+  return schema.type === 'array' ? [] : null;
+}
+
+// Light coercion for what models commonly send: "3", "Remote", "Full Time", "inr"
+function coerce(schema, value) {
+  if (schema.type === 'number' && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'string' && typeof value === 'string') {
+    const text = value.trim();
+    if (schema.enum) {
+      // "Full Time" / "fulltime" → "full-time", "On-site" → "onsite"
+      const bare = text.toLowerCase().replace(/[\s_-]+/g, '');
+      return schema.enum.find(option => option.replace(/-/g, '') === bare) || text;
+    }
+    if (schema.pattern === '^[A-Z]{3}$') return text.toUpperCase();
+    return text;
+  }
+  return value;
+}
+
+/**
+ * Validate `value` against `schema`. Returns the cleaned value; each field
+ * that fails is replaced by its default and reported in `errors` by path.
+ */
+export function validateSchema(schema, value, path = '', errors = []) {
+  if (value == null || value === '') {
+    if (value == null && schema.nullable) return null;
+    return defaultFor(schema);
+  }
+
+  const input = coerce(schema, value);
+  const fail = (message) => {
+    errors.push(`${path || '(root)'}: ${message}`);
+    return defaultFor(schema);
+  };
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof input !== 'object' || Array.isArray(input)) return fail('expected an object');
+      return Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [
+        key,
+        validateSchema(child, input[key], path ? `${path}.${key}` : key, errors)
+      ]));
+    }
+    case 'array': {
+      if (!Array.isArray(input)) return fail('expected an array');
+      const items = input
+        .map((item, index) => validateSchema(schema.items, item, `${path}[${index}]`, errors))
+        .filter(item => item != null && item !== '');
+      return [...new Set(items)].slice(0, schema.maxItems ?? items.length);
+    }
+    case 'number': {
+      if (typeof input !== 'number' || !Number.isFinite(input)) return fail(`expected a number, got ${JSON.stringify(value)}`);
+      if (schema.integer && !Number.isInteger(input)) return fail(`expected an integer, got ${input}`);
+      if (schema.minimum != null && input < schema.minimum) return fail(`${input} is below ${schema.minimum}`);
+      if (schema.maximum != null && input > schema.maximum) return fail(`${input} is above ${schema.maximum}`);
+      return input;
+    }
+    case 'string': {
+      if (typeof input !== 'string') return fail(`expected a string, got ${JSON.stringify(value)}`);
+      if (schema.enum && !schema.enum.includes(input)) return fail(`"${value}" is not one of ${schema.enum.join(', ')}`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(input)) return fail(`"${value}" does not match ${schema.pattern}`);
+      return schema.maxLength ? input.slice(0, schema.maxLength) : input;
+    }
+    default:
+      return fail(`unsupported schema type ${schema.type}`);
+  }
+}
+
+export function validateAttributes(raw) {
+  const errors = [];
+  const attributes = validateSchema(ATTRIBUTE_SCHEMA, raw ?? {}, '', errors);
+
+  // Ranges must not be upside down
+  for (const field of ['experience', 'salary']) {
+    const { min, max } = attributes[field];
+    if (min != null && max != null && min > max) {
+      errors.push(`${field}: min ${min} is above max ${max}, swapped`);
+      attributes[field] = { ...attributes[field], min: max, max: min };
+    }
+  }
+
+  return { attributes, errors };
+}
+
+export function emptyAttributes() {
+  return defaultFor(ATTRIBUTE_SCHEMA);
+}
+
+function formatRange(min, max, unit = '') {
+  if (min != null && max != null) return min === max ? `${min}${unit}` : `${min}-${max}${unit}`;
+  if (min != null) return `${min}+${unit}`;
+  if (max != null) return `up to ${max}${unit}`;
+  return '';
+}
+
+// Sheet columns (appended after the existing ones, in this order). The job is
+// passed too: a salary stated by the source wins over one read from the text.
+export const ATTRIBUTE_COLUMNS = [
+  { header: 'Experience Required', value: attributes => formatRange(attributes.experience?.min, attributes.experience?.max, ' years') },
+  { header: 'Work Mode', value: attributes => attributes.workMode || '' },
+  { header: 'Employment Type', value: attributes => attributes.employmentType || '' },
+  { header: 'Tech Stack', value: attributes => (attributes.techStack || []).join(', ') },
+  {
+    header: 'Notice Period',
+    value: attributes => (attributes.noticePeriodDays == null ? '' : attributes.noticePeriodDays === 0 ? 'Immediate' : `${attributes.noticePeriodDays} days`)
+  },
+  { header: 'Visa Sponsorship', value: attributes => attributes.visaSponsorship || '' },
+  { header: 'Salary Range', value: (attributes, job = {}) => formatSalary(job.salaryRange || normalizeSalary(attributes.salary)) }
+];
+
+// { header: cell } for every attribute column; blank cells for jobs without attributes
+export function attributeCells(attributes, job = {}) {
+  return Object.fromEntries(ATTRIBUTE_COLUMNS.map(column => [column.header, attributes ? column.value(attributes, job) : '']));
+}
@@ -0,0 +1,122 @@
+/**
+ * Classification result cache (JSON lines)
+ * Keyed by a hash of the posting's title, company and description plus the
+ * profile name, so re-seen postings skip the LLM entirely.
+ *
+ * Each entry remembers the profile fingerprint (including the feedback the
+ * prompt was given) and prompt version it was made with; if either has changed
+ * since, the entry is treated as stale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_CACHE_PATH = process.env.VERCEL
+  ? '/tmp/job-scout/classifications.jsonl'
+  : path.join(process.cwd(), 'data', 'classifications.jsonl');
+
+// Profile fields that change what the classifier is told
+const PROFILE_FIELDS = ['role', 'stack', 'keywords', 'experience', 'locations', 'mustHaves', 'dealBreakers', 'minSalary'];
+
+// Only the verdict is cached, not run-specific flags like processed/error.
+// The score breakdown is kept so hits can be re-scored with new weights.
+const RESULT_FIELDS = ['classification', 'fitScore', 'scoreBreakdown', 'dealBreaker', 'summary', 'matchedSkills', 'concerns', 'experienceLevel', 'attributes'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export function classificationCacheKey(job, profile) {
+  return sha256([job.title, job.company, job.description, profile.name].map(value => value || '').join('\u0000'));
+}
+
+// The parts of utils/feedback.js output the prompt shows; the counts aren't
+function feedbackDigest(feedback) {
+  if (!feedback) return null;
+  const { examples, companies, keywords } = feedback;
+  return { examples, companies, keywords };
+}
+
+export function profileFingerprint(profile) {
+  return sha256(JSON.stringify([
+    ...PROFILE_FIELDS.map(field => profile[field] ?? null),
+    feedbackDigest(profile.feedback)
+  ])).slice(0, 16);
+}
+
+export function createClassificationCache(filePath = process.env.CLASSIFICATION_CACHE_PATH || DEFAULT_CACHE_PATH) {
+  const entries = new Map();
+  let entryLines = 0;
+
+  if (fs.existsSync(filePath)) {
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        entries.set(entry.key, entry);
+        entryLines++;
+      } catch (error) {
+        console.warn(`⚠️ Skipping corrupt cache line: ${error.message}`);
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, [...entries.values()].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    fs.renameSync(tmpPath, filePath);
+    entryLines = entries.size;
+  }
+
+  return {
+    filePath,
+
+    // Returns { status: 'hit' | 'miss' | 'stale', result }
+    lookup(job, profile, promptVersion) {
+      const entry = entries.get(classificationCacheKey(job, profile));
+      if (!entry) {
+        return { status: 'miss', result: null };
+      }
+      if (entry.profileFingerprint !== profileFingerprint(profile) || entry.promptVersion !== promptVersion) {
+        return { status: 'stale', result: null };
+      }
+      return { status: 'hit', result: entry.result };
+    },
+
+    store(job, profile, promptVersion, result) {
+      const entry = {
+        key: classificationCacheKey(job, profile),
+        profile: profile.name,
+        profileFingerprint: profileFingerprint(profile),
+        promptVersion,
+        result: Object.fromEntries(RESULT_FIELDS.map(field => [field, result[field]])),
+        cachedAt: new Date().toISOString()
+      };
+      entries.set(entry.key, entry);
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+      entryLines++;
+
+      if (entryLines > 1000 && entryLines > entries.size * 3) {
+        compact();
+      }
+    },
+
+    size() {
+      return entries.size;
+    },
+
+    compact
+  };
+}
+
+let defaultCache = null;
+
+export function getClassificationCache() {
+  if (!defaultCache) {
+    defaultCache = createClassificationCache();
+  }
+  return defaultCache;
+}
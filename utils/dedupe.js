@@ -0,0 +1,145 @@
+/**
+ * Duplicate detection across sources and queries
+ * The same role often comes back with different redirect URLs or tracking
+ * params, so we match on canonical URL, a company/title/location fingerprint,
+ * and (within a run) description similarity
+ */
+
+// Query params that only track where the click came from. Generic keys like
+// `source`, `src` or `v` are left alone: some boards use them as the job id.
+const TRACKING_PARAMS = [
+  /^utm_/, /^mc_/, /^_hs/, /^lever-/,
+  /^(gclid|fbclid|msclkid|ref|referrer|trk|trackingid|gh_src)$/
+];
+
+// Adzuna redirect links (adzuna.in/land/ad/<ad id>?se=…&v=…) carry the ad id in
+// the path; `se`, `v` and the rest change with every query that found the ad
+const ADZUNA_HOST = /(^|\.)adzuna\.[a-z.]+$/;
+
+const COMPANY_SUFFIXES = /\b(private|pvt|limited|ltd|llp|llc|inc|incorporated|corp|corporation|co|gmbh|plc|technologies|technology|solutions|software|labs)\b/g;
+
+const SIMILAR_TITLE_THRESHOLD = 0.6;
+const SIMILAR_DESCRIPTION_THRESHOLD = 0.5;
+
+export function canonicalizeUrl(url) {
+  if (!url || url === 'N/A') return '';
+  
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const params = ADZUNA_HOST.test(host) ? [] : [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())))
+      .sort(([a], [b]) => a.localeCompare(b));
+    
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    return `${host}${pathname}${query}`;
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+function normalizeText(text = '') {
+  if (!text || text === 'N/A') return '';
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9+#.\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeCompany(company = '') {
+  return normalizeText(company).replace(/\./g, ' ').replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeLocation(location = '') {
+  // "Bengaluru, Karnataka" and "Bengaluru" are the same place for our purposes
+  return normalizeText(location.split(',')[0]).replace(/\(remote\)/g, '').trim();
+}
+
+// Empty when company or title is unknown - those can't be matched safely
+export function jobFingerprint(job) {
+  if (!normalizeCompany(job.company) || !normalizeText(job.title)) return '';
+  return [
+    normalizeCompany(job.company),
+    normalizeText(job.title),
+    normalizeLocation(job.location)
+  ].join('|');
+}
+
+function tokens(text, size = 1) {
+  const words = normalizeText(text).split(' ').filter(word => word.length > 1);
+  const grams = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    grams.add(words.slice(i, i + size).join(' '));
+  }
+  return grams;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Word 3-gram overlap; robust to truncation and light rewording
+export function descriptionSimilarity(a = '', b = '') {
+  return jaccard(tokens(a, 3), tokens(b, 3));
+}
+
+export function isDuplicateJob(a, b) {
+  const urlA = canonicalizeUrl(a.applyLink);
+  if (urlA && urlA === canonicalizeUrl(b.applyLink)) return true;
+  
+  const fingerprint = jobFingerprint(a);
+  if (!fingerprint) return false;
+  if (fingerprint === jobFingerprint(b)) return true;
+  
+  // Same company, near-identical title and the same posting text
+  return normalizeCompany(a.company) === normalizeCompany(b.company) &&
+    jaccard(tokens(a.title), tokens(b.title)) >= SIMILAR_TITLE_THRESHOLD &&
+    descriptionSimilarity(a.description, b.description) >= SIMILAR_DESCRIPTION_THRESHOLD;
+}
+
+// Fold a duplicate into the job we're keeping, remembering where else it was seen
+export function mergeDuplicate(kept, duplicate) {
+  const alternateLinks = new Set(kept.alternateLinks || []);
+  if (duplicate.applyLink && canonicalizeUrl(duplicate.applyLink) !== canonicalizeUrl(kept.applyLink)) {
+    alternateLinks.add(duplicate.applyLink);
+  }
+  (duplicate.alternateLinks || []).forEach(link => alternateLinks.add(link));
+  
+  const sources = new Set([...(kept.sources || [kept.source]), ...(duplicate.sources || [duplicate.source])]);
+  
+  // A stated salary beats none, or one the job board only estimated
+  const betterSalary = duplicate.salaryRange &&
+    (!kept.salaryRange || (kept.salaryRange.isPredicted && !duplicate.salaryRange.isPredicted));
+  
+  return {
+    ...kept,
+    ...(betterSalary ? { salary: duplicate.salary, salaryRange: duplicate.salaryRange } : {}),
+    description: kept.description?.length >= (duplicate.description?.length || 0) ? kept.description : duplicate.description,
+    alternateLinks: [...alternateLinks],
+    sources: [...sources].filter(Boolean)
+  };
+}
+
+export function dedupeJobs(jobs) {
+  const unique = [];
+  let merged = 0;
+  
+  for (const job of jobs) {
+    const index = unique.findIndex(existing => isDuplicateJob(existing, job));
+    if (index === -1) {
+      unique.push(job);
+    } else {
+      unique[index] = mergeDuplicate(unique[index], job);
+      merged++;
+    }
+  }
+  
+  return { jobs: unique, merged };
+}
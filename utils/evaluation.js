@@ -0,0 +1,103 @@
+/**
+ * Classification evaluation
+ * Precision, recall and a confusion matrix for predicted vs expected labels,
+ * and a plain-text report that puts several runs side by side.
+ */
+
+export const LABELS = ['GOOD_FIT', 'MAYBE_FIT', 'IGNORE'];
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) / 100 : 0;
+}
+
+/**
+ * items: [{ expected, predicted }]
+ * Returns { total, accuracy, macroF1, labels: { LABEL: { precision, recall, f1, support } }, confusion }
+ * where confusion[expected][predicted] is a count.
+ */
+export function evaluateClassifications(items) {
+  const confusion = Object.fromEntries(LABELS.map(expected => [expected, Object.fromEntries(LABELS.map(predicted => [predicted, 0]))]));
+  for (const { expected, predicted } of items) {
+    if (confusion[expected] && predicted in confusion[expected]) {
+      confusion[expected][predicted]++;
+    }
+  }
+
+  const labels = Object.fromEntries(LABELS.map(label => {
+    const truePositives = confusion[label][label];
+    const predictedCount = LABELS.reduce((total, expected) => total + confusion[expected][label], 0);
+    const support = LABELS.reduce((total, predicted) => total + confusion[label][predicted], 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    return [label, {
+      precision,
+      recall,
+      f1: precision + recall > 0 ? Math.round(((2 * precision * recall) / (precision + recall)) * 100) / 100 : 0,
+      support
+    }];
+  }));
+
+  const correct = LABELS.reduce((total, label) => total + confusion[label][label], 0);
+  return {
+    total: items.length,
+    accuracy: ratio(correct, items.length),
+    macroF1: ratio(LABELS.reduce((total, label) => total + labels[label].f1, 0), LABELS.length),
+    labels,
+    confusion
+  };
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)) + 2);
+  return rows.map(row => row.map((cell, column) => pad(cell, widths[column])).join('').trimEnd()).join('\n');
+}
+
+/**
+ * Side-by-side report. runs: [{ name, metrics, results: [{ id, title, expected, predicted, fitScore }], failures }]
+ */
+export function formatEvaluationReport(runs, { dataset, profileName } = {}) {
+  const lines = [
+    `📊 Classification evaluation: ${runs[0]?.metrics.total ?? 0} jobs${dataset ? ` from ${dataset}` : ''}${profileName ? `, labelled for profile "${profileName}"` : ''}`,
+    ''
+  ];
+
+  lines.push(table([
+    ['', ...runs.map(run => run.name)],
+    ['Accuracy', ...runs.map(run => run.metrics.accuracy)],
+    ['Macro F1', ...runs.map(run => run.metrics.macroF1)],
+    ...LABELS.map(label => [
+      `${label} P / R`,
+      ...runs.map(run => `${run.metrics.labels[label].precision} / ${run.metrics.labels[label].recall}`)
+    ]),
+    // LLM answers that were missing or unusable (scored offline instead)
+    ['LLM failures', ...runs.map(run => run.failures)]
+  ]));
+
+  for (const run of runs) {
+    lines.push('', `Confusion matrix: ${run.name} (rows expected, columns predicted)`);
+    lines.push(table([
+      ['', ...LABELS],
+      ...LABELS.map(expected => [expected, ...LABELS.map(predicted => run.metrics.confusion[expected][predicted])])
+    ]));
+  }
+
+  // Jobs at least one run got wrong, with every run's answer
+  const wrong = runs[0]?.results
+    .map((result, index) => ({ result, answers: runs.map(run => run.results[index]) }))
+    .filter(({ answers }) => answers.some(answer => answer.predicted !== answer.expected)) || [];
+  if (wrong.length > 0) {
+    lines.push('', `Misclassified (expected → ${runs.map(run => run.name).join(' | ')})`);
+    lines.push(table(wrong.map(({ result, answers }) => [
+      result.id,
+      result.title.slice(0, 40),
+      `${result.expected} →`,
+      answers.map(answer => `${answer.predicted}${answer.fitScore != null ? ` (${answer.fitScore})` : ''}`).join(' | ')
+    ])));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,174 @@
+/**
+ * Classification feedback
+ * Reads what was done with earlier verdicts back from a profile's sheet: the
+ * Classification Override column, the Status and the Status History. Jobs
+ * applied to count as GOOD_FIT, jobs marked Not Interested as IGNORE, and an
+ * override beats both. From those it builds few-shot examples and liked /
+ * disliked companies and keywords for the prompt and the offline classifier.
+ */
+
+import { readSheetRows } from './sheets.js';
+import { getJobStore } from './store.js';
+import { isSheetSyncEnabled } from './sync.js';
+import { canonicalizeUrl } from './dedupe.js';
+import { normalizeStatus, parseStatusHistory } from './status.js';
+import { skillTerms } from './offlineClassifier.js';
+
+const LABELS = ['GOOD_FIT', 'MAYBE_FIT', 'IGNORE'];
+
+// Reaching any of these means the job was worth applying to
+const APPLIED_STATUSES = ['Applied', 'Interviewing', 'Offer'];
+
+// Examples per label in the prompt; disagreements with the AI come first
+const MAX_EXAMPLES_PER_LABEL = 3;
+const MAX_PREFERENCES = 10;
+
+// A keyword needs this many jobs, nearly all on one side, to become a preference
+// (one application or one pass is enough for a company)
+const MIN_KEYWORD_JOBS = 2;
+const MIN_KEYWORD_SHARE = 0.75;
+
+// Title words that say nothing about preference
+const GENERIC_TITLE_WORDS = new Set([
+  'and', 'for', 'the', 'with', 'developer', 'engineer', 'software', 'programmer', 'role', 'team',
+  'stack', 'full', 'remote', 'hybrid', 'onsite', 'position', 'opening', 'job', 'india'
+]);
+
+const FEEDBACK_TTL_MS = Number(process.env.FEEDBACK_TTL_MS) || 10 * 60 * 1000;
+
+const memo = new Map();
+
+// "good fit", "Good_Fit" → GOOD_FIT; anything else is ignored
+function normalizeLabel(value) {
+  const label = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return LABELS.includes(label) ? label : null;
+}
+
+// The user's verdict on a row: { label, reason } or null when there is none yet
+export function rowVerdict(values) {
+  const override = normalizeLabel(values['Classification Override']);
+  if (override) return { label: override, reason: 'override' };
+
+  const status = normalizeStatus(values.Status) || 'New';
+  const reached = [status, ...parseStatusHistory(values['Status History']).map(entry => entry.to)];
+  if (reached.some(seen => APPLIED_STATUSES.includes(seen))) return { label: 'GOOD_FIT', reason: 'applied' };
+  if (status === 'Shortlisted') return { label: 'GOOD_FIT', reason: 'shortlisted' };
+  if (status === 'Not Interested') return { label: 'IGNORE', reason: 'not interested' };
+  return null;
+}
+
+// Canonical skills plus the telling words of the title
+function jobKeywords(title, skills) {
+  const words = String(title || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(word => word.replace(/\.+$/, ''))
+    .filter(word => word.length >= 3 && !GENERIC_TITLE_WORDS.has(word));
+  return [...new Set([...skills, ...words].map(keyword => skillTerms(keyword).name))];
+}
+
+// Keys seen mostly on one side: { liked, disliked }, most frequent first
+function preferences(items, keysOf, { minJobs = 1, known = new Set() } = {}) {
+  const counts = new Map();
+  for (const item of items) {
+    if (item.label === 'MAYBE_FIT') continue;
+    for (const key of keysOf(item)) {
+      const count = counts.get(key) || { positive: 0, negative: 0 };
+      count[item.label === 'GOOD_FIT' ? 'positive' : 'negative']++;
+      counts.set(key, count);
+    }
+  }
+
+  const side = name => [...counts.entries()]
+    .filter(([key, count]) => !known.has(key.toLowerCase()) &&
+      count[name] >= minJobs &&
+      count[name] / (count.positive + count.negative) >= MIN_KEYWORD_SHARE)
+    .sort((a, b) => b[1][name] - a[1][name])
+    .slice(0, MAX_PREFERENCES)
+    .map(([key]) => key);
+
+  return { liked: side('positive'), disliked: side('negative') };
+}
+
+function pickExamples(items) {
+  return LABELS.flatMap(label => items
+    .filter(item => item.label === label)
+    .sort((a, b) => Number(b.label !== b.aiLabel) - Number(a.label !== a.aiLabel) || b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, MAX_EXAMPLES_PER_LABEL)
+    .map(({ title, company, label, aiLabel, reason }) => ({ title, company, label, aiLabel, reason })));
+}
+
+/**
+ * Feedback from sheet rows ({ values }) joined with the store's records by
+ * canonical apply link (for matched skills). Returns null when nothing has
+ * been marked yet.
+ */
+export function buildFeedback(rows, records = [], profile = {}) {
+  const recordsByLink = new Map(records.map(record => [canonicalizeUrl(record.job.applyLink), record]));
+
+  const items = rows.flatMap(({ values }) => {
+    const verdict = rowVerdict(values);
+    if (!verdict) return [];
+    const record = recordsByLink.get(canonicalizeUrl(values['Apply Link']));
+    const skills = record?.classification?.attributes?.techStack?.length
+      ? record.classification.attributes.techStack
+      : record?.classification?.matchedSkills || [];
+    return [{
+      ...verdict,
+      title: values.Role,
+      company: String(values.Company || '').trim(),
+      aiLabel: values['AI Classification'],
+      updatedAt: values['Status Updated'] || '',
+      keywords: jobKeywords(values.Role, skills)
+    }];
+  });
+  if (items.length === 0) return null;
+
+  // Keywords the profile already asks for (or rules out) add nothing
+  const known = new Set([...(profile.stack || []), ...(profile.keywords || []), ...(profile.mustHaves || []), ...(profile.dealBreakers || [])]
+    .map(skill => skillTerms(skill).name.toLowerCase()));
+
+  return {
+    jobs: items.length,
+    positive: items.filter(item => item.label === 'GOOD_FIT').length,
+    negative: items.filter(item => item.label === 'IGNORE').length,
+    overrides: items.filter(item => item.reason === 'override').length,
+    disagreements: items.filter(item => item.label !== item.aiLabel).length,
+    examples: pickExamples(items),
+    companies: preferences(items.filter(item => item.company && item.company !== 'N/A'), item => [item.company]),
+    keywords: preferences(items, item => item.keywords, { minJobs: MIN_KEYWORD_JOBS, known })
+  };
+}
+
+/**
+ * A profile's feedback, read from its sheet tab at most once per
+ * FEEDBACK_TTL_MS. Null when sheet sync is off, nothing is marked yet or the
+ * sheet can't be read (classification carries on without it).
+ */
+export async function loadFeedback(profile, { store = getJobStore(), refresh = false } = {}) {
+  if (!isSheetSyncEnabled()) return null;
+
+  const cached = memo.get(profile.name);
+  if (!refresh && cached && Date.now() - cached.at < FEEDBACK_TTL_MS) {
+    return cached.feedback;
+  }
+
+  try {
+    const rows = await readSheetRows(profile.sheetName);
+    const feedback = buildFeedback(rows, store.query({ profile: profile.name }), profile);
+    memo.set(profile.name, { at: Date.now(), feedback });
+    if (feedback) {
+      console.log(`🧭 Feedback for ${profile.name}: ${feedback.positive} liked, ${feedback.negative} passed on (${feedback.overrides} overrides)`);
+    }
+    return feedback;
+  } catch (error) {
+    console.warn(`⚠️ Could not read feedback for ${profile.name}: ${error.message}`);
+    return null;
+  }
+}
+
+// The profile with its feedback attached, as classifyJob and classifyOffline expect it
+export async function withFeedback(profile, options) {
+  const feedback = await loadFeedback(profile, options);
+  return feedback ? { ...profile, feedback } : profile;
+}
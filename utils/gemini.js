@@ -1,255 +1,295 @@
 /**
- * Gemini AI utility functions for job classification
- * Using Gemini 2.0 Flash free tier
+ * Job classification prompts and verdicts
+ * Prompts go through the LLM provider chain in utils/llm.js (Gemini by default);
+ * the offline classifier is the last resort when every provider fails, and the
+ * only classifier when none is configured
  */
 
-const GEMINI_API_URL =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent";
+import { loadProfile } from "./profile.js";
+import { generateText, getLlmConfig, getLlmProviders } from "./llm.js";
+import { normalizeBreakdown, scoreJob } from "./score.js";
+import { validateAttributes } from "./attributes.js";
+import { classifyOffline } from "./offlineClassifier.js";
 
-export async function classifyJob(jobTitle, jobDescription, company) {
-  const apiKey = process.env.GEMINI_API_KEY;
+// Bump whenever the prompt or response parsing changes; invalidates cached verdicts
+export const PROMPT_VERSION = "5";
 
-  if (!apiKey) {
-    throw new Error("Missing Gemini API key");
+function formatList(items, fallback = "None") {
+  return items.length > 0 ? items.join(", ") : fallback;
+}
+
+function buildProfileSection(profile) {
+  const { min, max } = profile.experience;
+  const minSalary = profile.minSalary
+    ? `\n- Minimum salary: ${profile.minSalary.currency} ${profile.minSalary.amount.toLocaleString("en-US")} / year`
+    : "";
+
+  return `**TARGET PROFILE:**
+- Role: ${profile.role}
+- Tech Stack: ${formatList(profile.stack)}
+- Must-haves: ${formatList(profile.mustHaves)}
+- Experience: ${min}-${max} years
+- Location: ${formatList(profile.locations, "Any")}
+- Deal-breakers: ${formatList(profile.dealBreakers)}${minSalary}`;
+}
+
+// What the user did with earlier verdicts (utils/feedback.js); empty without feedback
+function buildFeedbackSection(profile) {
+  const feedback = profile.feedback;
+  if (!feedback) {
+    return "";
   }
 
-  const prompt = `
-You are a job classification assistant. Analyze this job posting and classify it based on these criteria:
+  const preferences = [
+    ["Companies they applied to", feedback.companies.liked],
+    ["Companies they passed on", feedback.companies.disliked],
+    ["Keywords in jobs they applied to", feedback.keywords.liked],
+    ["Keywords in jobs they passed on", feedback.keywords.disliked],
+  ]
+    .filter(([, items]) => items.length > 0)
+    .map(([label, items]) => `- ${label}: ${items.join(", ")}`);
+  const examples = feedback.examples.map(
+    example => `- "${example.title}" at ${example.company} → ${example.label} (${example.reason}${example.aiLabel && example.aiLabel !== example.label ? `; classified ${example.aiLabel} before` : ""})`
+  );
+
+  return `
+
+**CANDIDATE FEEDBACK (earlier jobs they acted on; weigh it alongside the profile):**
+${[...preferences, ...(examples.length > 0 ? ["Examples:", ...examples] : [])].join("\n")}`;
+}
+
+function buildRulesSection(profile) {
+  const { min, max } = profile.experience;
+  const locations = formatList(profile.locations, "Any");
+
+  return `**SCORING RULES (0-100 per criterion, null when the posting gives nothing to judge):**
+- stack: overlap with the target tech stack; 100 = uses the stack and meets every must-have
+- seniority: fit with ${min}-${max} years of experience; 0 = clearly outside that range
+- location: fit with ${locations}; 0 = wrong location
+- salary: how attractive the stated pay is for this role and location
+- company: how relevant the company and product are to the target role
+Set "dealBreaker" to true when the job hits a deal-breaker or is not a tech role.
+Fill "attributes" only from what the posting states; use null or "unknown" for anything it doesn't say.`;
+}
+
+export function buildClassificationPrompt(jobTitle, jobDescription, company, profile) {
+  return `
+You are a job classification assistant. Analyze this job posting and score it against these criteria:
 
-**TARGET PROFILE:**
-- MERN/PERN Stack (MongoDB/PostgreSQL, Express, React, Node.js)
-- Backend Technologies: Node.js, Express, REST APIs, GraphQL
-- Cloud & DevOps: Docker, AWS, Azure, GCP
-- Languages: JavaScript, TypeScript
-- Experience: 0-2 years (Junior/Entry level)
-- Location: India or Remote work allowed
+${buildProfileSection(profile)}${buildFeedbackSection(profile)}
 
 **JOB TO ANALYZE:**
 Title: ${jobTitle}
 Company: ${company}
 Description: ${jobDescription.substring(0, 2000)}
 
-**CLASSIFICATION RULES:**
-✅ **GOOD_FIT**: Perfect match - MERN/PERN stack, Node.js backend, 0-2 YOE, India/Remote, mentions specific tech stack
-⚠️ **MAYBE_FIT**: Partial match - some relevant technologies but missing key requirements or unclear experience level
-❌ **IGNORE**: Not relevant - different tech stack (PHP, Java, .NET), senior roles (3+ years), non-tech roles, wrong location
+${buildRulesSection(profile)}
 
 **RESPONSE FORMAT (JSON only):**
 {
-  "classification": "GOOD_FIT|MAYBE_FIT|IGNORE",
+  "scores": { "stack": 0-100, "seniority": 0-100, "location": 0-100, "salary": 0-100 or null, "company": 0-100 or null },
+  "dealBreaker": false,
   "summary": "Brief 2-3 sentence explanation of why this job fits/doesn't fit the criteria",
   "matchedSkills": ["skill1", "skill2"],
   "concerns": ["concern1", "concern2"],
-  "experienceLevel": "entry|junior|mid|senior|unclear"
+  "experienceLevel": "entry|junior|mid|senior|unclear",
+  "attributes": {
+    "experience": { "min": years or null, "max": years or null },
+    "workMode": "remote|hybrid|onsite|unknown",
+    "employmentType": "full-time|part-time|contract|internship|freelance|temporary|unknown",
+    "techStack": ["technology1", "technology2"],
+    "noticePeriodDays": days or null (0 = immediate joiner),
+    "visaSponsorship": "yes|no|unknown",
+    "salary": { "min": number or null, "max": number or null, "currency": "ISO code like INR/USD or null", "period": "year|month|week|day|hour or null" }
+  }
 }
 
 Respond only with valid JSON.
 `;
+}
 
-  try {
-    console.log(`Classifying job: ${jobTitle} at ${company}`);
-
-    const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        contents: [
-          {
-            parts: [
-              {
-                text: prompt,
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.1,
-          topK: 1,
-          topP: 1,
-          maxOutputTokens: 500,
-        },
-        safetySettings: [
-          {
-            category: "HARM_CATEGORY_HARASSMENT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE",
-          },
-          {
-            category: "HARM_CATEGORY_HATE_SPEECH",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE",
-          },
-          {
-            category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE",
-          },
-          {
-            category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE",
-          },
-        ],
-      }),
-    });
-          
-      if (!response.ok) {
-        const errorText = await response.text();
-
-        // 🔥 Handle Gemini quota exceeded (429)
-        if (response.status === 429) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          console.warn("⚠️ Gemini quota exceeded, falling back to keyword classification");
-          return performFallbackClassification(jobTitle, jobDescription);
-        }
-
-        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-      }
+// Jobs sent to the LLM in one batched prompt
+const JOBS_PER_PROMPT = 5;
 
+// Shape one parsed verdict; null when it can't be trusted. The label is
+// derived from the fit score, never taken from the model.
+function toClassificationResult(result, profile) {
+  const scoreBreakdown = normalizeBreakdown(result?.scores);
+  if (!scoreBreakdown || !result.summary) {
+    return null;
+  }
 
-    const data = await response.json();
+  const dealBreaker = result.dealBreaker === true;
+  const { attributes, errors } = validateAttributes(result.attributes);
+  if (errors.length > 0) {
+    console.warn(`⚠️ Fixed invalid job attributes: ${errors.join("; ")}`);
+  }
 
-    if (!data.candidates || !data.candidates[0]?.content?.parts?.[0]?.text) {
-      throw new Error("Invalid response from Gemini API");
-    }
+  return {
+    success: true,
+    ...scoreJob(scoreBreakdown, profile, { dealBreaker }),
+    dealBreaker,
+    summary: String(result.summary),
+    matchedSkills: Array.isArray(result.matchedSkills) ? result.matchedSkills : [],
+    concerns: Array.isArray(result.concerns) ? result.concerns : [],
+    experienceLevel: result.experienceLevel || "unclear",
+    attributes,
+  };
+}
 
-    const aiResponse = data.candidates[0].content.parts[0].text.trim();
+// A single-job answer as a verdict; null when it isn't JSON or misses required fields
+export function parseClassificationResponse(aiResponse, profile = loadProfile()) {
+  try {
+    return toClassificationResult(JSON.parse(aiResponse), profile);
+  } catch {
+    return null;
+  }
+}
 
-    // Try to parse JSON response
-    try {
-      // Clean the response - remove markdown code blocks if present
-      const cleanedResponse = aiResponse
-        .replace(/```json\n?/g, "")
-        .replace(/```\n?/g, "")
-        .trim();
+// `job` adds what the offline classifier can use besides the text (location, salaryRange)
+export async function classifyJob(jobTitle, jobDescription, company, profile = loadProfile(), job = {}) {
+  const offline = () => classifyOffline({ ...job, title: jobTitle, description: jobDescription, company }, profile);
+  if (getLlmProviders().length === 0) {
+    return offline();
+  }
 
-      const result = JSON.parse(cleanedResponse);
+  const prompt = buildClassificationPrompt(jobTitle, jobDescription, company, profile);
 
-      // Validate required fields
-      if (!result.classification || !result.summary) {
-        throw new Error("Missing required fields in AI response");
-      }
+  try {
+    console.log(`Classifying job: ${jobTitle} at ${company}`);
 
-      // Ensure valid classification
-      const validClassifications = ["GOOD_FIT", "MAYBE_FIT", "IGNORE"];
-      if (!validClassifications.includes(result.classification)) {
-        result.classification = "MAYBE_FIT";
-      }
+    const { text: aiResponse } = await generateText(prompt, { task: "classify" });
 
-      console.log(`Job classified as: ${result.classification}`);
-
-      return {
-        success: true,
-        classification: result.classification,
-        summary: result.summary,
-        matchedSkills: result.matchedSkills || [],
-        concerns: result.concerns || [],
-        experienceLevel: result.experienceLevel || "unclear",
-      };
-    } catch (parseError) {
+    const result = parseClassificationResponse(aiResponse, profile);
+    if (!result) {
       console.error("Failed to parse AI response as JSON:", aiResponse);
 
-      // Fallback classification based on keywords
-      const fallbackResult = performFallbackClassification(
-        jobTitle,
-        jobDescription
-      );
-      return fallbackResult;
+      // Fallback classification without the LLM
+      return offline();
     }
+
+    console.log(`Job classified as: ${result.classification} (${result.fitScore}/100)`);
+
+    return result;
   } catch (error) {
-    console.error("Error classifying job with Gemini:", error);
+    // 🔥 Every provider out of quota (429, after the limiter's retries)
+    if (error.status === 429) {
+      console.warn("⚠️ LLM quota exceeded, falling back to offline classification");
+      return offline();
+    }
+
+    console.error("Error classifying job with the LLM:", error);
 
     // Return fallback classification
-    const fallbackResult = performFallbackClassification(
-      jobTitle,
-      jobDescription
-    );
     return {
-      ...fallbackResult,
+      ...offline(),
       error: error.message,
     };
   }
 }
 
-function performFallbackClassification(jobTitle, jobDescription) {
-  const text = `${jobTitle} ${jobDescription}`.toLowerCase();
-
-  const goodFitKeywords = [
-    "node.js",
-    "nodejs",
-    "express",
-    "react",
-    "mongodb",
-    "postgresql",
-    "mern",
-    "pern",
-    "javascript",
-    "typescript",
-    "docker",
-    "aws",
-  ];
-
-  const badKeywords = [
-    "php",
-    "java",
-    "spring",
-    ".net",
-    "c#",
-    "python",
-    "django",
-    "senior",
-    "3+ years",
-    "4+ years",
-    "5+ years",
-  ];
-
-  const goodMatches = goodFitKeywords.filter((keyword) =>
-    text.includes(keyword)
-  );
-  const badMatches = badKeywords.filter((keyword) => text.includes(keyword));
-
-  let classification = "IGNORE";
-  let summary = "Fallback classification - unable to process with AI";
-
-  if (goodMatches.length >= 2 && badMatches.length === 0) {
-    classification = "GOOD_FIT";
-    summary = `Matches key technologies: ${goodMatches.join(", ")}`;
-  } else if (goodMatches.length >= 1) {
-    classification = "MAYBE_FIT";
-    summary = `Partial match with some relevant skills: ${goodMatches.join(
-      ", "
-    )}`;
+export function buildBatchClassificationPrompt(entries, profile) {
+  const postings = entries
+    .map(
+      ({ id, job }) => `--- JOB ${id} ---
+Title: ${job.title}
+Company: ${job.company}
+Description: ${(job.description || "").substring(0, 1200)}`
+    )
+    .join("\n\n");
+
+  return `
+You are a job classification assistant. Analyze each of these job postings independently and score it against these criteria:
+
+${buildProfileSection(profile)}${buildFeedbackSection(profile)}
+
+**JOBS TO ANALYZE:**
+${postings}
+
+${buildRulesSection(profile)}
+
+**RESPONSE FORMAT (JSON array only, one object per job):**
+[
+  {
+    "id": "the id from the job's --- JOB <id> --- header",
+    "scores": { "stack": 0-100, "seniority": 0-100, "location": 0-100, "salary": 0-100 or null, "company": 0-100 or null },
+    "dealBreaker": false,
+    "summary": "Brief 2-3 sentence explanation of why this job fits/doesn't fit the criteria",
+    "matchedSkills": ["skill1", "skill2"],
+    "concerns": ["concern1", "concern2"],
+    "experienceLevel": "entry|junior|mid|senior|unclear",
+    "attributes": {
+      "experience": { "min": years or null, "max": years or null },
+      "workMode": "remote|hybrid|onsite|unknown",
+      "employmentType": "full-time|part-time|contract|internship|freelance|temporary|unknown",
+      "techStack": ["technology1", "technology2"],
+      "noticePeriodDays": days or null (0 = immediate joiner),
+      "visaSponsorship": "yes|no|unknown",
+      "salary": { "min": number or null, "max": number or null, "currency": "ISO code like INR/USD or null", "period": "year|month|week|day|hour or null" }
+    }
   }
+]
 
-  return {
-    success: true,
-    classification,
-    summary,
-    matchedSkills: goodMatches,
-    concerns: badMatches,
-    experienceLevel: "unclear",
-    fallback: true,
-  };
+Respond only with valid JSON.
+`;
+}
+
+// Classify several jobs with one request. Returns one result per job (same
+// order); null marks a job the response left out or got wrong, so the caller
+// can retry it on its own.
+export async function classifyJobsTogether(jobs, profile = loadProfile()) {
+  if (getLlmProviders().length === 0) {
+    return jobs.map(job => classifyOffline(job, profile));
+  }
+
+  // Ids must be unique within the prompt; fall back to the position
+  const seen = new Set();
+  const entries = jobs.map((job, index) => {
+    const id = job.id && !seen.has(String(job.id)) ? String(job.id) : `#${index + 1}`;
+    seen.add(id);
+    return { id, job };
+  });
+
+  console.log(`Classifying ${jobs.length} jobs in one prompt`);
+  const { text: aiResponse } = await generateText(buildBatchClassificationPrompt(entries, profile), {
+    maxOutputTokens: getLlmConfig().maxOutputTokens.classifyPerJob * jobs.length,
+  });
+
+  let items;
+  try {
+    items = JSON.parse(aiResponse);
+  } catch (parseError) {
+    console.error("Failed to parse batched AI response as JSON:", aiResponse);
+    return jobs.map(() => null);
+  }
+  if (!Array.isArray(items)) {
+    return jobs.map(() => null);
+  }
+
+  const byId = new Map(items.filter(item => item && item.id != null).map(item => [String(item.id), item]));
+
+  return entries.map(({ id }) => toClassificationResult(byId.get(id), profile));
 }
 
-export async function classifyJobsBatch(jobs) {
+export async function classifyJobsBatch(jobs, profile = loadProfile()) {
   const classifiedJobs = [];
 
   for (let i = 0; i < jobs.length; i++) {
     try {
-      // Gemini free tier: 10 requests/minute → wait ~6s between calls
-      if (i > 0) {
-        await new Promise((resolve) => setTimeout(resolve, 6000));
-      }
-
+      // Pacing for the LLM providers happens in utils/rateLimit.js
       const job = jobs[i];
-      const result = await classifyJob(job.title, job.description, job.company);
+      const result = await classifyJob(job.title, job.description, job.company, profile, job);
 
       classifiedJobs.push({
         ...job,
         aiClassification: result.classification,
+        fitScore: result.fitScore,
+        scoreBreakdown: result.scoreBreakdown,
         aiSummary: result.summary,
         matchedSkills: result.matchedSkills,
         concerns: result.concerns,
         experienceLevel: result.experienceLevel,
+        attributes: result.attributes,
         processed: true,
       });
     } catch (error) {
@@ -258,6 +298,7 @@ export async function classifyJobsBatch(jobs) {
       classifiedJobs.push({
         ...jobs[i],
         aiClassification: "IGNORE",
+        fitScore: 0,
         aiSummary: "Classification failed - " + error.message,
         matchedSkills: [],
         concerns: ["Processing error"],
@@ -272,7 +313,9 @@ export async function classifyJobsBatch(jobs) {
 }
 
 
-import { insertJobs } from './sheets.js';
+import { getJobStore } from './store.js';
+import { syncStoreToSheet } from './sync.js';
+import { getClassificationCache } from './cache.js';
 
 // helper: split jobs into batches
 function chunkArray(array, size) {
@@ -283,76 +326,151 @@ function chunkArray(array, size) {
   return result;
 }
 
-export async function classifyAndInsertInBatches(jobs, batchSize = 7) {
+// Cached verdicts keep only the breakdown, so they are re-scored with the
+// profile's current weights and thresholds
+function toClassifiedJob(job, result, cacheStatus, profile) {
+  const { fitScore, classification, scoreBreakdown } = result.scoreBreakdown
+    ? scoreJob(result.scoreBreakdown, profile, { dealBreaker: result.dealBreaker })
+    : result;
+
+  return {
+    ...job,
+    aiClassification: classification,
+    fitScore,
+    scoreBreakdown,
+    aiSummary: result.summary,
+    matchedSkills: result.matchedSkills,
+    concerns: result.concerns,
+    experienceLevel: result.experienceLevel,
+    attributes: result.attributes,
+    processed: true,
+    cacheStatus,
+  };
+}
+
+export async function classifyAndInsertInBatches(
+  jobs,
+  batchSize = 7,
+  {
+    profile = loadProfile(),
+    sheetName = profile.sheetName,
+    store = getJobStore(),
+    cache = getClassificationCache(),
+    jobsPerPrompt = JOBS_PER_PROMPT,
+    onBatch = null, // called with each classified + synced batch
+    shouldStop = null // checked before each prompt; lets a run hand over before a timeout
+  } = {}
+) {
   const batches = chunkArray(jobs, batchSize);
   const allResults = [];
 
   for (let b = 0; b < batches.length; b++) {
+    if (shouldStop && shouldStop()) {
+      console.log(`⏸️ Stopping before batch ${b + 1}/${batches.length}, the rest stays pending`);
+      break;
+    }
+
     console.log(`🔄 Processing batch ${b + 1}/${batches.length}...`);
     const batch = batches[b];
     const classifiedBatch = [];
 
-    for (let i = 0; i < batch.length; i++) {
-      const job = batch[i];
-      try {
-        // rate limit: 1 request every ~6s for Gemini free tier
-        if (i > 0 || b > 0) {
-          await new Promise(resolve => setTimeout(resolve, 7000));
-        }
+    // ✅ Persist each result straight away so a timeout can't lose it
+    const finish = (index, classifiedJob) => {
+      classifiedBatch[index] = classifiedJob;
+      store.recordClassification(classifiedJob, profile.name);
+    };
 
-        const result = await classifyJob(job.title, job.description, job.company);
-
-        classifiedBatch.push({
-          ...job,
-          aiClassification: result.classification,
-          aiSummary: result.summary,
-          matchedSkills: result.matchedSkills,
-          concerns: result.concerns,
-          experienceLevel: result.experienceLevel,
-          processed: true
-        });
-     } catch (err) {
-        console.error(`❌ Failed classification for job: ${job.title}`, err);
-
-        const fallbackResult = performFallbackClassification(job.title, job.description);
-
-        classifiedBatch.push({
-          ...job,
-          aiClassification: fallbackResult.classification,
-          aiSummary: fallbackResult.summary + ` (fallback used)`,
-          matchedSkills: fallbackResult.matchedSkills,
-          concerns: fallbackResult.concerns,
-          experienceLevel: fallbackResult.experienceLevel,
-          processed: true,
-          error: err.message
-        });
-          // After classifiedBatch.push({...})
-          if (classifiedBatch.length === 1 || classifiedBatch.length % 5 === 0) {
-            console.log(`📝 Inserting ${classifiedBatch.length} jobs...`);
-            await insertJobs(classifiedBatch);
-            console.log(`✅ Saved successfully`);
+    const uncached = [];
+    batch.forEach((job, index) => {
+      const cached = cache.lookup(job, profile, PROMPT_VERSION);
+      if (cached.status === 'hit') {
+        console.log(`💾 Cache hit: ${job.title} at ${job.company}`);
+        finish(index, toClassifiedJob(job, cached.result, 'hit', profile));
+      } else {
+        uncached.push({ job, index, cacheStatus: cached.status });
+      }
+    });
+
+    // Each prompt can take several seconds, so the time budget is checked between them
+    let stopped = false;
+    for (const group of chunkArray(uncached, jobsPerPrompt)) {
+      if (shouldStop && shouldStop()) {
+        console.log(`⏸️ Stopping inside batch ${b + 1}/${batches.length}, the rest stays pending`);
+        stopped = true;
+        break;
+      }
+
+      // Several jobs per request; anything the batched answer misses is retried alone
+      let verdicts = group.map(() => null);
+      if (group.length > 1) {
+        try {
+          verdicts = await classifyJobsTogether(group.map(({ job }) => job), profile);
+        } catch (err) {
+          if (err.status === 429) {
+            console.warn("⚠️ LLM quota exceeded, falling back to offline classification");
+            verdicts = group.map(({ job }) => classifyOffline(job, profile));
+          } else {
+            console.error(`❌ Batched classification failed, classifying ${group.length} jobs one by one:`, err.message);
           }
+        }
       }
 
+      for (let i = 0; i < group.length; i++) {
+        const { job, index, cacheStatus } = group[i];
+        try {
+          let result = verdicts[i];
+
+          if (!result) {
+            result = await classifyJob(job.title, job.description, job.company, profile, job);
+          }
+
+          // Offline verdicts (no provider, quota, bad JSON) shouldn't stick around as LLM verdicts
+          if (!result.fallback && !result.error) {
+            cache.store(job, profile, PROMPT_VERSION, result);
+          }
+
+          finish(index, toClassifiedJob(job, result, cacheStatus, profile));
+        } catch (err) {
+          console.error(`❌ Failed classification for job: ${job.title}`, err);
+
+          const fallbackResult = classifyOffline(job, profile);
+
+          finish(index, {
+            ...toClassifiedJob(job, fallbackResult, cacheStatus, profile),
+            aiSummary: fallbackResult.summary + ` (fallback used)`,
+            error: err.message
+          });
+        }
+      }
     }
 
-        // ✅ Insert immediately into Google Sheet
-    console.log(`📝 Inserting batch ${b + 1} into sheet...`);
+    // ✅ Sync the store into the Google Sheet
+    console.log(`📝 Syncing batch ${b + 1} into sheet...`);
 
-    let insertResult = { inserted: 0, duplicates: 0 }; // ✅ Always define before try
+    let insertResult = { inserted: 0, duplicates: 0, updated: 0 }; // ✅ Always define before try
 
     try {
-      insertResult = await insertJobs(classifiedBatch);
-      console.log(`✅ Batch ${b + 1} inserted successfully.`);
+      insertResult = await syncStoreToSheet(store, { profile, sheetName });
+      if (!insertResult.success) {
+        console.error(`❌ Failed to sync batch ${b + 1}: ${insertResult.error} (will retry next sync)`);
+      }
     } catch (insertError) {
-      console.error(`❌ Failed to insert batch ${b + 1}:`, insertError);
+      console.error(`❌ Failed to sync batch ${b + 1}:`, insertError);
+      insertResult = { ...insertResult, success: false, error: insertError.message };
     }
 
     console.log(
-    `✨ Batch ${b + 1} inserted: ${insertResult.inserted} jobs (skipped ${insertResult.duplicates})`
+    `✨ Batch ${b + 1} synced: ${insertResult.inserted} jobs inserted, ${insertResult.updated} updated (skipped ${insertResult.duplicates}, merged ${insertResult.merged || 0})`
       );
 
-    allResults.push(...classifiedBatch);
+    // A stop mid-batch leaves holes for the jobs it never reached
+    const finished = classifiedBatch.filter(Boolean);
+    allResults.push(...finished);
+
+    if (onBatch) {
+      await onBatch(finished, insertResult);
+    }
+    if (stopped) break;
   }
 
   return allResults;
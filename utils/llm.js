@@ -0,0 +1,233 @@
+/**
+ * LLM client
+ * One generateText() for every prompt, backed by Gemini, an OpenAI-compatible
+ * API or a local Ollama / llama.cpp server. Model, temperature and token limits
+ * live in config/llm.json; providers are tried in order until one answers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { rateLimitedFetch } from './rateLimit.js';
+
+const LLM_CONFIG_PATH = process.env.LLM_CONFIG_PATH || path.join(process.cwd(), 'config', 'llm.json');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Per task; classifyPerJob is multiplied by the number of jobs in a batched prompt
+const DEFAULT_MAX_OUTPUT_TOKENS = { classify: 800, classifyPerJob: 550, resume: 1000, materials: 1500 };
+
+let cachedConfig = null;
+
+export function getLlmConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(LLM_CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load LLM config from ${LLM_CONFIG_PATH}: ${error.message}`);
+  }
+
+  // "none" (or an empty list) runs without any LLM: classification is offline only
+  const providers = (process.env.LLM_PROVIDERS
+    ? process.env.LLM_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : config.providers || []).filter(name => name !== 'none');
+  const unknown = providers.filter(name => !PROVIDERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown LLM providers: ${unknown.join(', ')} (use ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  cachedConfig = {
+    providers,
+    temperature: config.temperature ?? 0.1,
+    timeoutMs: config.timeoutMs ?? 60000,
+    maxOutputTokens: { ...DEFAULT_MAX_OUTPUT_TOKENS, ...config.maxOutputTokens },
+    settings: Object.fromEntries(Object.keys(PROVIDERS).map(name => [name, providerSettings(name, config[name])]))
+  };
+  return cachedConfig;
+}
+
+// config/llm.json values, overridden by <PROVIDER>_MODEL / _BASE_URL / _API_KEY
+function providerSettings(name, settings = {}) {
+  const prefix = name.toUpperCase();
+  return {
+    ...settings,
+    model: process.env[`${prefix}_MODEL`] || settings.model,
+    baseUrl: (process.env[`${prefix}_BASE_URL`] || settings.baseUrl || '').replace(/\/+$/, ''),
+    apiKey: process.env[`${prefix}_API_KEY`] || null
+  };
+}
+
+export function getLlmProviders() {
+  return getLlmConfig().providers;
+}
+
+// Env vars the configured providers can't work without
+export function requiredLlmEnvVars() {
+  const { providers, settings } = getLlmConfig();
+  return providers.flatMap(name => PROVIDERS[name].requiredEnv(settings[name]));
+}
+
+async function httpError(name, response) {
+  const error = new Error(`${name} API error: ${response.status} - ${await response.text()}`);
+  error.status = response.status;
+  return error;
+}
+
+// A fresh timeout per attempt, so a retry isn't born already aborted
+function postJson(service, url, body, { headers = {}, timeoutMs, retries }) {
+  return rateLimitedFetch(service, url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  }, {
+    retries,
+    fetch: (target, init) => fetch(target, { ...init, signal: AbortSignal.timeout(timeoutMs) })
+  });
+}
+
+async function requestGemini(prompt, { model, apiKey, temperature, maxOutputTokens, timeoutMs }) {
+  if (!apiKey) {
+    throw new Error('Missing GEMINI_API_KEY');
+  }
+
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+  const response = await postJson('gemini', url, {
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig: { temperature, topK: 1, topP: 1, maxOutputTokens },
+    safetySettings: [
+      'HARM_CATEGORY_HARASSMENT',
+      'HARM_CATEGORY_HATE_SPEECH',
+      'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+      'HARM_CATEGORY_DANGEROUS_CONTENT'
+    ].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }))
+  }, { timeoutMs });
+
+  if (!response.ok) {
+    throw await httpError('Gemini', response);
+  }
+
+  const data = await response.json();
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) {
+    throw new Error('Invalid response from Gemini API');
+  }
+  return text;
+}
+
+// OpenAI chat completions; llama.cpp's server speaks the same API
+function openAICompatible(label, service, { retries } = {}) {
+  return async (prompt, { model, baseUrl, apiKey, temperature, maxOutputTokens, timeoutMs }) => {
+    const response = await postJson(service, `${baseUrl}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxOutputTokens
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeoutMs,
+      retries
+    });
+
+    if (!response.ok) {
+      throw await httpError(label, response);
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error(`Invalid response from ${label} API`);
+    }
+    return text;
+  };
+}
+
+async function requestOllama(prompt, { model, baseUrl, temperature, maxOutputTokens, timeoutMs }) {
+  const response = await postJson('local', `${baseUrl}/api/generate`, {
+    model,
+    prompt,
+    stream: false,
+    options: { temperature, num_predict: maxOutputTokens }
+  }, { timeoutMs, retries: 1 });
+
+  if (!response.ok) {
+    throw await httpError('Ollama', response);
+  }
+
+  const data = await response.json();
+  if (!data.response) {
+    throw new Error('Invalid response from Ollama API');
+  }
+  return data.response;
+}
+
+const PROVIDERS = {
+  gemini: {
+    generate: requestGemini,
+    requiredEnv: () => ['GEMINI_API_KEY']
+  },
+  openai: {
+    generate: openAICompatible('OpenAI', 'openai'),
+    // Self-hosted OpenAI-compatible servers usually run without a key
+    requiredEnv: settings => ((settings.baseUrl || DEFAULT_OPENAI_BASE_URL) === DEFAULT_OPENAI_BASE_URL ? ['OPENAI_API_KEY'] : [])
+  },
+  ollama: {
+    generate: requestOllama,
+    requiredEnv: () => []
+  },
+  llamacpp: {
+    generate: openAICompatible('llama.cpp', 'local', { retries: 1 }),
+    requiredEnv: () => []
+  }
+};
+
+// Models like to wrap JSON in markdown code blocks
+function cleanResponse(text) {
+  return text
+    .trim()
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+}
+
+/**
+ * Send a prompt down the provider chain; the first answer wins.
+ * `task` picks the token limit from config (maxOutputTokens overrides it).
+ * Returns { text, provider, model }. When every provider fails the error has
+ * status 429 if they were all out of quota, so callers can fall back quietly.
+ */
+export async function generateText(prompt, { task, maxOutputTokens, providers } = {}) {
+  const config = getLlmConfig();
+  const chain = providers || config.providers;
+  if (chain.length === 0) {
+    throw new Error(`No LLM providers configured (set "providers" in ${LLM_CONFIG_PATH} or LLM_PROVIDERS)`);
+  }
+
+  const failures = [];
+  for (const [index, name] of chain.entries()) {
+    const settings = config.settings[name];
+    try {
+      const text = await PROVIDERS[name].generate(prompt, {
+        ...settings,
+        temperature: config.temperature,
+        timeoutMs: config.timeoutMs,
+        maxOutputTokens: maxOutputTokens ?? config.maxOutputTokens[task] ?? 500
+      });
+      if (failures.length > 0) {
+        console.log(`🔁 ${name} answered after ${failures.map(failure => failure.provider).join(', ')} failed`);
+      }
+      return { text: cleanResponse(text), provider: name, model: settings.model };
+    } catch (error) {
+      failures.push({ provider: name, error });
+      if (index < chain.length - 1) {
+        console.warn(`⚠️ ${name} failed (${error.message.slice(0, 120)}), trying ${chain[index + 1]}`);
+      }
+    }
+  }
+
+  if (failures.length === 1) throw failures[0].error;
+
+  const error = new Error(`All LLM providers failed: ${failures.map(({ provider, error }) => `${provider}: ${error.message}`).join('; ')}`);
+  error.status = failures.every(failure => failure.error.status === 429) ? 429 : failures[failures.length - 1].error.status;
+  throw error;
+}
@@ -0,0 +1,262 @@
+/**
+ * Application materials
+ * A tailored cover letter and resume highlight bullets for jobs in a profile's
+ * sheet, written by the LLM from the posting, its verdict (matched skills and
+ * concerns) and the candidate profile from extractSkillsFromResume. Each set is
+ * saved as a Google Doc (MATERIALS_DRIVE_FOLDER_ID) or a markdown file and
+ * linked from the job's Application Materials column.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import { readSheetRows, rowLinks, updateJobRows, initializeSheet } from './sheets.js';
+import { getJobStore, recordToJob } from './store.js';
+import { canonicalizeUrl } from './dedupe.js';
+import { normalizeStatus } from './status.js';
+import { generateText, getLlmProviders } from './llm.js';
+import { withRateLimit } from './rateLimit.js';
+
+// Vercel functions can only write to /tmp
+const DEFAULT_MATERIALS_PATH = process.env.VERCEL
+  ? '/tmp/job-scout/materials'
+  : path.join(process.cwd(), 'data', 'materials');
+
+const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+
+function formatList(items, fallback = 'None') {
+  return items?.length > 0 ? items.join(', ') : fallback;
+}
+
+// candidate: { skills, experienceYears, preferredRoles, techStack, location } from extractSkillsFromResume
+export function buildMaterialsPrompt(job, candidate, { resumeText = '' } = {}) {
+  const resume = resumeText.trim()
+    ? `\n\n**RESUME (the only source of facts about the candidate):**\n${resumeText.substring(0, 3000)}`
+    : '';
+
+  return `
+You are helping a candidate apply for a job. Write a tailored cover letter and resume highlight bullets for this posting.
+
+**CANDIDATE:**
+- Skills: ${formatList(candidate.skills)}
+- Tech Stack: ${formatList(candidate.techStack)}
+- Experience: ${candidate.experienceYears ?? 0} years
+- Preferred Roles: ${formatList(candidate.preferredRoles)}
+- Location: ${candidate.location || 'Not stated'}${resume}
+
+**JOB:**
+Title: ${job.title}
+Company: ${job.company}
+Location: ${job.location || 'Not stated'}
+Description: ${(job.description || job.aiSummary || '').substring(0, 2500)}
+
+**FIT ANALYSIS:**
+- Matched skills (lead with these): ${formatList(job.matchedSkills)}
+- Concerns (address the ones the candidate can answer, e.g. with related experience; skip the rest): ${formatList(job.concerns)}
+
+**RULES:**
+- Cover letter: 3-4 short paragraphs, under 300 words, opening with "Dear Hiring Manager," and ending without a signature
+- Bullets: 3-5 resume bullets tailored to this job, each starting with a verb, matched skills first
+- Use only skills and experience the candidate has; never invent employers, numbers or technologies
+- No placeholders like [Company] or [Your Name]
+
+**RESPONSE FORMAT (JSON only):**
+{
+  "coverLetter": "Paragraphs separated by blank lines",
+  "bullets": ["bullet1", "bullet2"]
+}
+
+Respond only with valid JSON.
+`;
+}
+
+// { coverLetter, bullets } or null when the answer isn't usable
+export function parseMaterialsResponse(text) {
+  try {
+    const result = JSON.parse(text);
+    const bullets = Array.isArray(result.bullets)
+      ? result.bullets.map(bullet => String(bullet).replace(/^[-•*]\s*/, '').trim()).filter(Boolean)
+      : [];
+    if (typeof result.coverLetter !== 'string' || !result.coverLetter.trim() || bullets.length === 0) {
+      return null;
+    }
+    return { coverLetter: result.coverLetter.trim(), bullets };
+  } catch {
+    return null;
+  }
+}
+
+export function renderMaterials(job, materials, { generatedBy = '' } = {}) {
+  const fit = job.aiClassification
+    ? `${job.aiClassification}${job.fitScore != null && job.fitScore !== '' ? ` (${job.fitScore}/100)` : ''}`
+    : null;
+
+  return [
+    `# ${job.title} at ${job.company}`,
+    '',
+    `- Apply: ${job.applyLink}`,
+    ...(fit ? [`- Fit: ${fit}`] : []),
+    `- Matched skills: ${formatList(job.matchedSkills)}`,
+    `- Concerns: ${formatList(job.concerns)}`,
+    `- Generated: ${new Date().toISOString()}${generatedBy ? ` by ${generatedBy}` : ''}`,
+    '',
+    '## Cover Letter',
+    '',
+    materials.coverLetter,
+    '',
+    '## Resume Highlights',
+    '',
+    ...materials.bullets.map(bullet => `- ${bullet}`),
+    ''
+  ].join('\n');
+}
+
+// "Acme Corp" + "Node.js Developer" → acme-corp-node-js-developer-1a2b3c4d
+function materialsName(job) {
+  const slug = `${job.company}-${job.title}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  const hash = crypto.createHash('sha256').update(canonicalizeUrl(job.applyLink) || job.applyLink || '').digest('hex').slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+function saveMarkdown(job, markdown) {
+  const dir = process.env.MATERIALS_PATH || DEFAULT_MATERIALS_PATH;
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${materialsName(job)}.md`);
+  fs.writeFileSync(filePath, markdown);
+
+  const relative = path.relative(process.cwd(), filePath);
+  return { storage: 'markdown', link: relative.startsWith('..') ? filePath : relative };
+}
+
+// Drive converts the uploaded markdown into a Google Doc. Service accounts
+// have no Drive storage of their own, so the folder should be in a shared drive.
+async function saveGoogleDoc(job, markdown, folderId) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON),
+    scopes: ['https://www.googleapis.com/auth/drive']
+  });
+  const drive = google.drive({ version: 'v3', auth });
+
+  // Only retried on 429: a retried create could leave two copies
+  const response = await withRateLimit('drive', () => drive.files.create({
+    requestBody: {
+      name: `Application - ${job.title} at ${job.company}`,
+      mimeType: GOOGLE_DOC_MIME_TYPE,
+      parents: [folderId]
+    },
+    media: { mimeType: 'text/markdown', body: markdown },
+    fields: 'id, webViewLink',
+    supportsAllDrives: true
+  }), { idempotent: false });
+
+  return { storage: 'google-doc', link: response.data.webViewLink || `https://docs.google.com/document/d/${response.data.id}/edit` };
+}
+
+export async function saveMaterials(job, markdown) {
+  const folderId = process.env.MATERIALS_DRIVE_FOLDER_ID;
+  return folderId ? saveGoogleDoc(job, markdown, folderId) : saveMarkdown(job, markdown);
+}
+
+// Rows to write for: the given apply links, otherwise jobs in `status` that have no materials yet
+function selectRows(rows, { applyLinks, status, overwrite }) {
+  if (applyLinks?.length) {
+    const wanted = applyLinks.map(link => ({ link, canonical: canonicalizeUrl(link) }));
+    return {
+      selected: rows.filter(row => rowLinks(row).some(link => wanted.some(w => w.canonical === link))),
+      missing: wanted.filter(w => !rows.some(row => rowLinks(row).includes(w.canonical))).map(w => w.link)
+    };
+  }
+
+  return {
+    selected: rows.filter(row =>
+      (normalizeStatus(row.values.Status) || 'New') === normalizeStatus(status) &&
+      (overwrite || !row.values['Application Materials'])),
+    missing: []
+  };
+}
+
+/**
+ * Write materials for jobs in a profile's tab and link them from their rows.
+ * Picks `applyLinks`, or up to `maxJobs` jobs in `status` (Shortlisted) without
+ * materials yet. A job that fails is reported and the rest carry on.
+ */
+export async function generateApplicationMaterials(profile, candidate, {
+  resumeText = '',
+  applyLinks = null,
+  status = 'Shortlisted',
+  maxJobs = 5,
+  overwrite = false,
+  store = getJobStore()
+} = {}) {
+  if (getLlmProviders().length === 0) {
+    return { success: false, error: 'Application materials need an LLM provider (LLM_PROVIDERS is none)' };
+  }
+
+  try {
+    // Sheets created before the Application Materials column get its header first
+    const init = await initializeSheet(profile.sheetName);
+    if (!init.success) {
+      throw new Error(`Could not initialize sheet: ${init.error}`);
+    }
+
+    const rows = await readSheetRows(profile.sheetName);
+    const { selected, missing } = selectRows(rows, { applyLinks, status, overwrite });
+    const recordsByLink = new Map(store.query({ profile: profile.name }).map(record => [canonicalizeUrl(record.job.applyLink), record]));
+
+    const generated = [];
+    const failed = [];
+    for (const row of selected.slice(0, maxJobs)) {
+      const { values } = row;
+      const record = rowLinks(row).map(link => recordsByLink.get(link)).find(Boolean);
+      // The store has the full description and verdict; the row is enough without it
+      const job = {
+        title: values.Role,
+        company: values.Company,
+        location: values.Location,
+        applyLink: values['Apply Link'],
+        aiClassification: values['AI Classification'],
+        aiSummary: values['AI Summary'],
+        fitScore: values['Fit Score'],
+        ...(record ? recordToJob(record) : {})
+      };
+
+      try {
+        console.log(`✍️ Writing application materials: ${job.title} at ${job.company}`);
+        const { text, provider, model } = await generateText(buildMaterialsPrompt(job, candidate, { resumeText }), { task: 'materials' });
+        const materials = parseMaterialsResponse(text);
+        if (!materials) {
+          throw new Error('Unusable LLM response (expected JSON with coverLetter and bullets)');
+        }
+
+        const saved = await saveMaterials(job, renderMaterials(job, materials, { generatedBy: `${provider}/${model}` }));
+        generated.push({ applyLink: job.applyLink, company: job.company, role: job.title, ...saved, ...materials });
+      } catch (error) {
+        console.error(`❌ Application materials failed for ${job.title}:`, error.message);
+        failed.push({ applyLink: job.applyLink, company: job.company, role: job.title, error: error.message });
+      }
+    }
+
+    const update = await updateJobRows(
+      generated.map(entry => ({ applyLink: entry.applyLink, values: { 'Application Materials': entry.link } })),
+      { sheetName: profile.sheetName }
+    );
+    if (!update.success) {
+      throw new Error(`Materials saved but not linked in the sheet: ${update.error}`);
+    }
+
+    console.log(`📝 Application materials: ${generated.length} written, ${failed.length} failed, ${missing.length} not found`);
+
+    return {
+      success: true,
+      profile: profile.name,
+      matched: selected.length,
+      generated,
+      failed,
+      missing
+    };
+  } catch (error) {
+    console.error('Error generating application materials:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Run digests
+ * When a run completes, its new GOOD_FIT / MAYBE_FIT jobs are sent to every
+ * configured channel: SMTP email and Slack / Discord incoming webhooks.
+ * Each channel has its own minimum classification.
+ */
+
+import nodemailer from 'nodemailer';
+import { rateLimitedFetch } from './rateLimit.js';
+import { rankByFitScore, formatBreakdown } from './score.js';
+
+const RANK = { IGNORE: 0, MAYBE_FIT: 1, GOOD_FIT: 2 };
+const DEFAULT_MIN_CLASSIFICATION = 'MAYBE_FIT';
+
+// Longer digests point to the sheet for the rest
+const MAX_DIGEST_JOBS = 50;
+// Discord rejects messages over 2000 characters
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+function minClassification(envName) {
+  const value = (process.env[envName] || DEFAULT_MIN_CLASSIFICATION).trim().toUpperCase();
+  if (!['GOOD_FIT', 'MAYBE_FIT'].includes(value)) {
+    throw new Error(`${envName} must be GOOD_FIT or MAYBE_FIT`);
+  }
+  return value;
+}
+
+// Channels with their settings present in the environment
+export function getDigestChannels() {
+  const channels = [];
+
+  if (process.env.SMTP_HOST && process.env.DIGEST_EMAIL_TO) {
+    channels.push({ type: 'email', minClassification: minClassification('DIGEST_EMAIL_MIN_CLASSIFICATION') });
+  }
+  if (process.env.SLACK_WEBHOOK_URL) {
+    channels.push({ type: 'slack', minClassification: minClassification('SLACK_MIN_CLASSIFICATION') });
+  }
+  if (process.env.DISCORD_WEBHOOK_URL) {
+    channels.push({ type: 'discord', minClassification: minClassification('DISCORD_MIN_CLASSIFICATION') });
+  }
+
+  return channels;
+}
+
+// Jobs at or above the channel's minimum, highest fit score first
+export function selectDigestJobs(jobs, min = DEFAULT_MIN_CLASSIFICATION) {
+  return rankByFitScore(jobs
+    .filter(job => !job.error && (RANK[job.aiClassification] ?? 0) >= RANK[min])
+    .sort((a, b) => RANK[b.aiClassification] - RANK[a.aiClassification]));
+}
+
+function digestTitle(jobs, runId) {
+  const goodFit = jobs.filter(job => job.aiClassification === 'GOOD_FIT').length;
+  const maybeFit = jobs.length - goodFit;
+  return `Job Scout: ${goodFit} GOOD_FIT, ${maybeFit} MAYBE_FIT new job${jobs.length === 1 ? '' : 's'}${runId ? ` (run ${runId})` : ''}`;
+}
+
+function scoreText(job) {
+  return job.fitScore != null ? `${job.fitScore}/100` : job.aiClassification;
+}
+
+function salaryText(job) {
+  return job.salary && job.salary !== 'N/A' ? job.salary : null;
+}
+
+function remainder(jobs) {
+  return jobs.length > MAX_DIGEST_JOBS ? `…and ${jobs.length - MAX_DIGEST_JOBS} more in the sheet` : null;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Slack mrkdwn only needs &, < and > escaped
+function escapeSlack(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function formatEmailDigest(jobs, { runId } = {}) {
+  const shown = jobs.slice(0, MAX_DIGEST_JOBS);
+  const more = remainder(jobs);
+
+  const text = [
+    digestTitle(jobs, runId),
+    '',
+    ...shown.map(job => [
+      `[${scoreText(job)}] ${job.title} — ${job.company}${salaryText(job) ? ` (${salaryText(job)})` : ''}`,
+      job.aiSummary ? `  ${job.aiSummary}` : null,
+      job.scoreBreakdown ? `  ${formatBreakdown(job.scoreBreakdown)}` : null,
+      `  ${job.applyLink}`,
+      ''
+    ].filter(line => line != null).join('\n')),
+    more
+  ].filter(line => line != null).join('\n');
+
+  const html = `<h2>${escapeHtml(digestTitle(jobs, runId))}</h2>\n<ul>\n${shown.map(job => `  <li>
+    <strong>[${escapeHtml(scoreText(job))}]</strong> <a href="${escapeHtml(job.applyLink)}">${escapeHtml(job.title)}</a> — ${escapeHtml(job.company)}${salaryText(job) ? ` (${escapeHtml(salaryText(job))})` : ''}
+    ${job.aiSummary ? `<br><em>${escapeHtml(job.aiSummary)}</em>` : ''}
+  </li>`).join('\n')}\n</ul>${more ? `\n<p>${escapeHtml(more)}</p>` : ''}`;
+
+  return { subject: digestTitle(jobs, runId), text, html };
+}
+
+export function formatSlackDigest(jobs, { runId } = {}) {
+  const lines = jobs.slice(0, MAX_DIGEST_JOBS).map(job => {
+    const icon = job.aiClassification === 'GOOD_FIT' ? '✅' : '⚠️';
+    const salary = salaryText(job) ? ` · ${escapeSlack(salaryText(job))}` : '';
+    const summary = job.aiSummary ? `\n>${escapeSlack(job.aiSummary)}` : '';
+    return `${icon} *<${job.applyLink}|${escapeSlack(job.title)}>* — ${escapeSlack(job.company)}${salary} · ${scoreText(job)}${summary}`;
+  });
+
+  return {
+    text: [`*${escapeSlack(digestTitle(jobs, runId))}*`, ...lines, remainder(jobs)].filter(Boolean).join('\n\n')
+  };
+}
+
+// One or more messages, each under Discord's length limit
+export function formatDiscordDigest(jobs, { runId } = {}) {
+  const entries = jobs.slice(0, MAX_DIGEST_JOBS).map(job => {
+    const icon = job.aiClassification === 'GOOD_FIT' ? '✅' : '⚠️';
+    const salary = salaryText(job) ? ` · ${salaryText(job)}` : '';
+    const summary = job.aiSummary ? `\n> ${job.aiSummary}` : '';
+    // <link> stops Discord from unfurling a preview for every job
+    return `${icon} **${job.title}** — ${job.company}${salary} · ${scoreText(job)}${summary}\n<${job.applyLink}>`
+      .slice(0, DISCORD_MESSAGE_LIMIT);
+  });
+
+  const messages = [];
+  let current = `**${digestTitle(jobs, runId)}**`;
+  for (const entry of [...entries, remainder(jobs)].filter(Boolean)) {
+    if (current.length + entry.length + 2 > DISCORD_MESSAGE_LIMIT) {
+      messages.push({ content: current });
+      current = entry;
+    } else {
+      current += `\n\n${entry}`;
+    }
+  }
+  messages.push({ content: current });
+
+  return messages;
+}
+
+async function postWebhook(name, url, payload) {
+  // Not idempotent: only a 429 (nothing posted) is retried
+  const response = await rateLimitedFetch('webhooks', url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }, { idempotent: false });
+
+  if (!response.ok) {
+    throw new Error(`${name} webhook error: ${response.status} ${response.statusText}`);
+  }
+}
+
+async function sendEmail(jobs, { runId }) {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  const { subject, text, html } = formatEmailDigest(jobs, { runId });
+  await transport.sendMail({
+    from: process.env.DIGEST_EMAIL_FROM || process.env.SMTP_USER || 'job-scout@localhost',
+    to: process.env.DIGEST_EMAIL_TO,
+    subject,
+    text,
+    html
+  });
+}
+
+const SENDERS = {
+  email: sendEmail,
+  slack: (jobs, { runId }) => postWebhook('Slack', process.env.SLACK_WEBHOOK_URL, formatSlackDigest(jobs, { runId })),
+  discord: async (jobs, { runId }) => {
+    for (const message of formatDiscordDigest(jobs, { runId })) {
+      await postWebhook('Discord', process.env.DISCORD_WEBHOOK_URL, message);
+    }
+  }
+};
+
+/**
+ * Send the digest to every channel. A failing channel doesn't stop the others;
+ * returns [{ channel, jobs, success, error?, skipped? }].
+ */
+export async function sendDigest(jobs, { runId = null, channels = getDigestChannels() } = {}) {
+  const results = [];
+
+  for (const channel of channels) {
+    const selected = selectDigestJobs(jobs, channel.minClassification);
+    if (selected.length === 0) {
+      results.push({ channel: channel.type, jobs: 0, success: true, skipped: true });
+      continue;
+    }
+
+    try {
+      await SENDERS[channel.type](selected, { runId });
+      console.log(`📨 Sent ${selected.length} jobs to ${channel.type}`);
+      results.push({ channel: channel.type, jobs: selected.length, success: true });
+    } catch (error) {
+      console.error(`❌ ${channel.type} digest failed:`, error.message);
+      results.push({ channel: channel.type, jobs: selected.length, success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,339 @@
+/**
+ * Offline job classifier
+ * Deterministic scoring without an LLM: word-boundary skill matching with a
+ * synonym dictionary, experience ranges read from the text and remote /
+ * location detection. Returns the same shape as classifyJob, so it is both the
+ * last fallback of the provider chain and the whole classifier when no
+ * provider is configured.
+ */
+
+import { loadProfile } from './profile.js';
+import { normalizeBreakdown, scoreJob, hardMismatches } from './score.js';
+import { validateAttributes } from './attributes.js';
+import { meetsMinSalary } from './salary.js';
+
+// Skill → other ways postings write it (matched case-insensitively, whole terms only)
+export const SKILL_SYNONYMS = {
+  'Node.js': ['node', 'nodejs', 'node js'],
+  JavaScript: ['js', 'es6', 'ecmascript'],
+  TypeScript: ['ts'],
+  React: ['reactjs', 'react.js', 'react js'],
+  'Next.js': ['nextjs', 'next js'],
+  Express: ['expressjs', 'express.js'],
+  NestJS: ['nest.js', 'nest js'],
+  MongoDB: ['mongo', 'mongoose'],
+  PostgreSQL: ['postgres', 'psql'],
+  MySQL: [],
+  Redis: [],
+  GraphQL: [],
+  Docker: [],
+  Kubernetes: ['k8s'],
+  AWS: ['amazon web services'],
+  GCP: ['google cloud'],
+  Azure: [],
+  'Vue.js': ['vue', 'vuejs'],
+  Angular: ['angularjs'],
+  Python: [],
+  Django: [],
+  Java: [],
+  Spring: ['spring boot', 'springboot'],
+  PHP: [],
+  Laravel: [],
+  '.NET': ['dotnet', 'asp.net', '.net core'],
+  'C#': ['csharp'],
+  'C++': ['cpp'],
+  Golang: ['go lang'],
+  Ruby: [],
+  Rails: ['ruby on rails'],
+  MERN: ['mern stack'],
+  PERN: ['pern stack']
+};
+
+// The offline scores are coarser than the LLM's: seniority 30 is two years over
+// the profile's maximum (or a senior title) and location 10 a named place
+// outside the profile's locations
+const OFFLINE_MISMATCH = { seniority: 30, location: 10 };
+
+// Places a job location may name instead of the profile's country
+const LOCATION_ALIASES = {
+  india: [
+    'bangalore', 'bengaluru', 'mumbai', 'pune', 'hyderabad', 'chennai', 'delhi', 'new delhi', 'ncr',
+    'gurgaon', 'gurugram', 'noida', 'kolkata', 'ahmedabad', 'kochi', 'jaipur', 'chandigarh', 'indore',
+    'karnataka', 'maharashtra', 'telangana', 'tamil nadu', 'haryana', 'kerala', 'gujarat', 'west bengal'
+  ],
+  'united states': ['usa', 'us', 'united states of america'],
+  'united kingdom': ['uk', 'england', 'london', 'scotland']
+};
+
+const REMOTE = /\b(remote|work\s+from\s+home|wfh|anywhere|worldwide|distributed\s+team)\b/;
+const HYBRID = /\bhybrid\b/;
+const ONSITE = /\b(on[\s-]?site|in[\s-]office|work\s+from\s+office|wfo)\b/;
+
+const SENIOR_TITLE = /\b(senior|sr\.?|lead|principal|staff|architect|head|manager|director)\b/;
+const JUNIOR_TITLE = /\b(junior|jr\.?|intern|internship|trainee|fresher|graduate|entry[\s-]level|associate)\b/;
+
+const YEARS = '(?:years?|yrs?)';
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// [pattern, match → { min, max }]; the earliest match in the text wins
+const EXPERIENCE_PATTERNS = [
+  // "2-4 years", "2 to 4 yrs"
+  [new RegExp(`${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}\\s*\\+?\\s*${YEARS}`), match => ({ min: +match[1], max: +match[2] })],
+  // "minimum 3 yrs", "at least 2 years"
+  [new RegExp(`(?:minimum|min\\.?|at\\s*least)\\s*(?:of\\s+)?${NUMBER}\\s*\\+?\\s*${YEARS}`), match => ({ min: +match[1], max: null })],
+  // "up to 3 years"
+  [new RegExp(`(?:up\\s*to|maximum|max\\.?)\\s*${NUMBER}\\s*${YEARS}`), match => ({ min: null, max: +match[1] })],
+  // "3+ years", "5 years of professional experience"
+  [
+    new RegExp(`${NUMBER}\\s*(?:\\+\\s*${YEARS}|${YEARS}\\s*\\+?\\s*(?:of\\s+)?(?:\\w+\\s+){0,3}?(?:experience|exp)\\b)`),
+    match => ({ min: +match[1], max: null })
+  ],
+  // "freshers welcome", "entry level"
+  [/\b(?:freshers?|entry[\s-]level|no\s+experience\s+required)\b/, () => ({ min: 0, max: 1 })]
+];
+
+const EMPLOYMENT_TYPES = [
+  ['contract', /\b(contract|contractor|c2h)\b/],
+  ['freelance', /\bfreelanc/],
+  ['part-time', /\bpart[\s-]?time\b/],
+  ['temporary', /\btemporary\b/],
+  ['full-time', /\b(full[\s-]?time|permanent)\b/]
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const termPatterns = new Map();
+
+// Whole terms only: "java" doesn't match "javascript", "react" doesn't match
+// "reactive", and "node.js." at the end of a sentence still counts
+function termPattern(term) {
+  if (!termPatterns.has(term)) {
+    const body = escapeRegExp(term.toLowerCase()).replace(/ /g, '[\\s-]+');
+    termPatterns.set(term, new RegExp(`(?<![\\w+#.])${body}(?![\\w+#]|\\.\\w)`));
+  }
+  return termPatterns.get(term);
+}
+
+function mentions(text, terms) {
+  return terms.some(term => termPattern(term).test(text));
+}
+
+// Canonical name and every spelling of a skill; unknown skills only match themselves
+export function skillTerms(skill) {
+  const lower = String(skill).trim().toLowerCase();
+  const entry = Object.entries(SKILL_SYNONYMS)
+    .find(([name, aliases]) => name.toLowerCase() === lower || aliases.includes(lower));
+  return entry
+    ? { name: entry[0], terms: [entry[0].toLowerCase(), ...entry[1]] }
+    : { name: String(skill).trim(), terms: [lower] };
+}
+
+// Profile skills, one entry per canonical skill ("nodejs" and "Node.js" are the same)
+function uniqueSkills(skills) {
+  const byName = new Map();
+  for (const skill of skills) {
+    const entry = skillTerms(skill);
+    if (!byName.has(entry.name)) byName.set(entry.name, entry);
+  }
+  return [...byName.values()];
+}
+
+export function parseExperience(text) {
+  let earliest = null;
+  for (const [pattern, toRange] of EXPERIENCE_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match && (!earliest || match.index < earliest.index)) {
+      earliest = { index: match.index, range: toRange(match) };
+    }
+  }
+
+  const range = earliest?.range;
+  // "2018-2020 years" and the like aren't experience requirements
+  if (!range || [range.min, range.max].some(value => value != null && value > 30)) return null;
+  return range;
+}
+
+function experienceLevel(range, title) {
+  if (range?.min != null) {
+    if (range.min <= 1) return 'entry';
+    if (range.min <= 3) return 'junior';
+    return range.min <= 5 ? 'mid' : 'senior';
+  }
+  if (SENIOR_TITLE.test(title)) return 'senior';
+  if (JUNIOR_TITLE.test(title)) return 'junior';
+  return 'unclear';
+}
+
+function seniorityScore(range, title, { min, max }) {
+  if (range) {
+    const jobMin = range.min ?? 0;
+    const jobMax = range.max ?? Infinity;
+    // 1 year over the profile's maximum → 65, 2 → 30, 3+ → 0
+    if (jobMin > max) return Math.max(0, Math.round(100 - (jobMin - max) * 35));
+    if (jobMax < min) return 60;
+    return 100;
+  }
+  if (SENIOR_TITLE.test(title)) return max >= 5 ? 80 : 10;
+  if (JUNIOR_TITLE.test(title)) return min <= 2 ? 90 : 30;
+  return null;
+}
+
+export function detectWorkMode(text) {
+  if (HYBRID.test(text)) return 'hybrid';
+  if (REMOTE.test(text)) return 'remote';
+  if (ONSITE.test(text)) return 'onsite';
+  return 'unknown';
+}
+
+function locationScore(job, workMode, locations) {
+  if (locations.length === 0) return null;
+
+  const wantsRemote = locations.some(location => REMOTE.test(location.toLowerCase()));
+  const places = locations
+    .map(location => location.toLowerCase())
+    .filter(location => !REMOTE.test(location));
+  const where = `${job.location || ''} ${job.title || ''}`.toLowerCase();
+  const inPlace = places.some(place => mentions(where, [place, ...(LOCATION_ALIASES[place] || [])]));
+
+  if (inPlace) return 100;
+  if (workMode === 'remote') return wantsRemote ? 100 : 60;
+  return job.location ? 10 : null;
+}
+
+function salaryScore(job, profile) {
+  if (!profile.minSalary || !job.salaryRange?.converted || job.salaryRange.isPredicted) return null;
+  return meetsMinSalary(job, profile.minSalary) ? 100 : 20;
+}
+
+function noticePeriodDays(text) {
+  if (/\bimmediate(?:ly)?\s+(?:joiners?|joining|start)\b/.test(text)) return 0;
+  const days = text.match(/notice\s+period\s*(?:of\s*)?(?:up\s*to\s*|max(?:imum)?\s*|less\s+than\s*)?(\d+)\s*days/) ||
+    text.match(/(\d+)\s*days?'?\s*notice/);
+  if (days) return Number(days[1]);
+  const months = text.match(/notice\s+period\s*(?:of\s*)?(?:up\s*to\s*)?(\d+)\s*months?/);
+  return months ? Number(months[1]) * 30 : null;
+}
+
+function visaSponsorship(text) {
+  if (/\b(no|not|unable\s+to|cannot|can't|won't|don't|do\s+not)\b[^.]{0,40}\bsponsor/.test(text)) return 'no';
+  if (/\b(visa\s+sponsorship\s+(?:is\s+)?(?:available|provided|offered)|will\s+sponsor|sponsorship\s+available)\b/.test(text)) return 'yes';
+  return 'unknown';
+}
+
+function employmentType(title, text) {
+  if (/\b(intern|internship)\b/.test(title)) return 'internship';
+  const found = EMPLOYMENT_TYPES.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : 'unknown';
+}
+
+// Liked / disliked companies and keywords learned from the sheet (utils/feedback.js)
+function feedbackSignals(job, text, feedback) {
+  if (!feedback) return { company: null, liked: [], disliked: [] };
+
+  const company = String(job.company || '').trim().toLowerCase();
+  const known = list => list.some(name => name.toLowerCase() === company);
+  const found = keywords => keywords.filter(keyword => mentions(text, skillTerms(keyword).terms));
+  return {
+    company: company && known(feedback.companies.liked) ? 100 : company && known(feedback.companies.disliked) ? 0 : null,
+    liked: found(feedback.keywords.liked),
+    disliked: found(feedback.keywords.disliked)
+  };
+}
+
+function formatRange({ min, max }) {
+  if (min != null && max != null) return `${min}-${max} years`;
+  return min != null ? `${min}+ years` : `up to ${max} years`;
+}
+
+/**
+ * Classify a job ({ title, description, company, location, salaryRange })
+ * without an LLM. Same result shape as classifyJob, flagged `fallback: true`
+ * so it is never cached as a model verdict.
+ */
+export function classifyOffline(job, profile = loadProfile()) {
+  const title = String(job.title || '').toLowerCase();
+  const text = `${title} ${job.location || ''} ${job.description || ''}`.toLowerCase();
+
+  const wanted = uniqueSkills([...profile.stack, ...profile.keywords, ...profile.mustHaves]);
+  const matched = wanted.filter(skill => mentions(text, skill.terms));
+  const missingMustHaves = uniqueSkills(profile.mustHaves).filter(skill => !mentions(text, skill.terms));
+
+  // Seniority words only count in the title ("work with senior engineers" is fine);
+  // other deal-breakers are fatal in the title and a penalty in the description
+  const titleBreakers = [];
+  const textBreakers = [];
+  for (const breaker of profile.dealBreakers) {
+    const isSeniority = SENIOR_TITLE.test(breaker.toLowerCase()) || JUNIOR_TITLE.test(breaker.toLowerCase());
+    const { name, terms } = skillTerms(breaker);
+    if (mentions(title, terms)) titleBreakers.push(name);
+    else if (!isSeniority && mentions(text, terms)) textBreakers.push(name);
+  }
+
+  let stack = matched.length === 0
+    ? 0
+    : Math.round(40 + 60 * Math.min(1, matched.length / Math.min(wanted.length, 4)));
+  stack = Math.max(0, stack - 15 * textBreakers.length);
+  if (missingMustHaves.length > 0) stack = Math.min(stack, 40);
+
+  // Keywords from jobs the user applied to (+10 each, at most +20) or passed on (-15 each)
+  const signals = feedbackSignals(job, text, profile.feedback);
+  stack = Math.max(0, Math.min(100, stack + Math.min(20, 10 * signals.liked.length) - 15 * signals.disliked.length));
+
+  const range = parseExperience(text);
+  // The title and location say it best; the description is the fallback
+  const headlineMode = detectWorkMode(`${title} ${job.location || ''}`.toLowerCase());
+  const workMode = headlineMode !== 'unknown' ? headlineMode : detectWorkMode(text);
+
+  const breakdown = normalizeBreakdown({
+    stack,
+    seniority: seniorityScore(range, title, profile.experience),
+    location: locationScore(job, workMode, profile.locations),
+    salary: salaryScore(job, profile),
+    company: signals.company
+  });
+  const dealBreaker = titleBreakers.length > 0;
+
+  const techStack = uniqueSkills([...Object.keys(SKILL_SYNONYMS), ...wanted.map(skill => skill.name)])
+    .filter(skill => mentions(text, skill.terms))
+    .map(skill => skill.name);
+  const { attributes } = validateAttributes({
+    experience: range || { min: null, max: null },
+    workMode,
+    employmentType: employmentType(title, text),
+    techStack,
+    noticePeriodDays: noticePeriodDays(text),
+    visaSponsorship: visaSponsorship(text)
+  });
+
+  const summary = [
+    matched.length > 0 ? `Matches ${matched.map(skill => skill.name).join(', ')}` : 'No stack match',
+    range ? `asks for ${formatRange(range)}` : null,
+    workMode !== 'unknown' ? workMode : null,
+    signals.liked.length > 0 ? `like jobs you applied to (${signals.liked.join(', ')})` : null,
+    signals.company === 100 ? `you applied to ${job.company} before` : null
+  ].filter(Boolean).join(' · ');
+
+  return {
+    success: true,
+    // Nothing from the stack, or 2+ years too senior / somewhere else entirely:
+    // the other criteria alone can't make it a MAYBE_FIT
+    ...scoreJob(breakdown, profile, { dealBreaker: dealBreaker || matched.length === 0, mismatchLimits: OFFLINE_MISMATCH }),
+    dealBreaker,
+    summary: `Offline classification: ${summary}`,
+    matchedSkills: matched.map(skill => skill.name),
+    concerns: [
+      ...titleBreakers.map(name => `deal-breaker in title: ${name}`),
+      ...textBreakers.map(name => `mentions ${name}`),
+      ...missingMustHaves.map(skill => `missing ${skill.name}`),
+      ...hardMismatches(breakdown, profile.scoreWeights, OFFLINE_MISMATCH)
+        .map(criterion => criterion === 'seniority' ? 'far outside the experience range' : 'outside the profile\'s locations'),
+      ...signals.disliked.map(keyword => `like jobs you passed on: ${keyword}`),
+      ...(signals.company === 0 ? [`you passed on ${job.company} before`] : [])
+    ],
+    experienceLevel: experienceLevel(range, title),
+    attributes,
+    fallback: true
+  };
+}
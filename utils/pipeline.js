@@ -0,0 +1,134 @@
+/**
+ * Job Scout pipeline
+ * Fetch → classify → insert for a single candidate profile
+ */
+
+import { fetchFromSources, DEFAULT_SOURCES } from './sources/index.js';
+import { classifyAndInsertInBatches } from './gemini.js';
+import { getExistingLinks } from './sheets.js';
+import { getJobStore, recordToJob } from './store.js';
+import { isSheetSyncEnabled } from './sync.js';
+import { canonicalizeUrl } from './dedupe.js';
+import { rankByFitScore } from './score.js';
+import { meetsMinSalary } from './salary.js';
+import { withFeedback } from './feedback.js';
+
+export function summarizeClassifications(classifiedJobs) {
+  return {
+    goodFit: classifiedJobs.filter(j => j.aiClassification === 'GOOD_FIT').length,
+    maybeFit: classifiedJobs.filter(j => j.aiClassification === 'MAYBE_FIT').length,
+    ignore: classifiedJobs.filter(j => j.aiClassification === 'IGNORE').length,
+    errors: classifiedJobs.filter(j => !j.processed).length
+  };
+}
+
+// How many verdicts came from the classification cache instead of the LLM
+export function summarizeCache(classifiedJobs) {
+  const hits = classifiedJobs.filter(j => j.cacheStatus === 'hit').length;
+  return {
+    hits,
+    misses: classifiedJobs.filter(j => j.cacheStatus === 'miss').length,
+    stale: classifiedJobs.filter(j => j.cacheStatus === 'stale').length,
+    hitRate: classifiedJobs.length > 0 ? Math.round((hits / classifiedJobs.length) * 100) / 100 : 0
+  };
+}
+
+// Step 1: fetch for one profile and keep the raw postings in the store.
+// Returns the jobs picked for classification plus fetch stats.
+export async function fetchProfileJobs(profile, {
+  queries,
+  location,
+  maxJobs,
+  sources = DEFAULT_SOURCES,
+  pages = 1,
+  resultsPerPage = 20,
+  filters = {},
+  store = getJobStore(),
+  fetch
+}) {
+  console.log(`👤 Profile: ${profile.name} → ${profile.sheetName ? `tab "${profile.sheetName}"` : 'default tab'}`);
+  console.log(`📋 Queries: ${queries.map(query => query.what || query).join(', ')}`);
+  console.log(`📍 Location: ${location}`);
+  
+  const sourceNames = sources.map(source => source.name || source);
+  console.log(`📡 Step 1: Fetching jobs from ${sourceNames.join(', ')}...`);
+  // Jobs we already have (store + this profile's tab) let deep paging stop early
+  const knownLinks = isSheetSyncEnabled() ? await getExistingLinks(profile.sheetName) : new Set();
+  store.query({ profile: profile.name })
+    .filter(record => record.classification)
+    .forEach(record => knownLinks.add(canonicalizeUrl(record.job.applyLink)));
+
+  const jobsResult = await fetchFromSources(queries, {
+    sources,
+    location,
+    pages,
+    resultsPerPage,
+    filters,
+    knownLinks,
+    fetch
+  });
+  if (!jobsResult.success || jobsResult.jobs.length === 0) {
+    return {
+      queries: jobsResult.queries,
+      sources: jobsResult.sources,
+      fetched: 0,
+      duplicatesMerged: 0,
+      belowMinSalary: 0,
+      jobs: []
+    };
+  }
+  
+  // Jobs that state a salary below the profile's minimum never reach the LLM
+  const affordable = jobsResult.jobs.filter(job => meetsMinSalary(job, profile.minSalary));
+  const belowMinSalary = jobsResult.jobs.length - affordable.length;
+  if (belowMinSalary > 0) {
+    console.log(`💸 Skipped ${belowMinSalary} jobs below the minimum salary`);
+  }
+  
+  // Limit jobs
+  const jobsToProcess = affordable.slice(0, maxJobs);
+  console.log(`📊 Found ${jobsResult.jobs.length}, processing ${jobsToProcess.length}`);
+  
+  // Keep the raw postings in the local store before spending any API quota
+  const newToStore = store.recordFetched(jobsResult.jobs, profile.name);
+  console.log(`🗄️ Stored ${newToStore} new jobs (${jobsResult.jobs.length - newToStore} seen before)`);
+  
+  return {
+    queries: jobsResult.queries,
+    sources: jobsResult.sources,
+    fetched: jobsResult.jobs.length,
+    duplicatesMerged: jobsResult.duplicatesMerged,
+    belowMinSalary,
+    jobs: jobsToProcess
+  };
+}
+
+// Step 2 + 3: classify & insert in batches; onBatch/shouldStop let a run checkpoint between batches
+export async function classifyProfileJobs(profile, jobs, { store = getJobStore(), onBatch, shouldStop } = {}) {
+  console.log('🤖 Step 2 + 3: Classify + Insert in batches...');
+  // Statuses and overrides from the sheet steer the classifier
+  const classifyAs = await withFeedback(profile, { store });
+  const classifiedJobs = await classifyAndInsertInBatches(jobs, 15, { profile: classifyAs, store, onBatch, shouldStop });
+  return classifiedJobs.map(job => ({ ...job, profile: profile.name }));
+}
+
+// Re-run classification over jobs already in the store (e.g. after a profile
+// change) without fetching anything; changed rows are updated in the sheet
+export async function reclassifyStoredJobs(profile, { filter = {}, maxJobs = 25, store = getJobStore() } = {}) {
+  const records = store.query({ ...filter, profile: profile.name }).slice(0, maxJobs);
+  console.log(`♻️ Re-classifying ${records.length} stored jobs for ${profile.name}...`);
+  
+  const before = new Map(records.map(record => [record.key, record.classification?.aiClassification]));
+  const classifyAs = await withFeedback(profile, { store, refresh: true });
+  const classifiedJobs = await classifyAndInsertInBatches(records.map(recordToJob), 15, { profile: classifyAs, store });
+  
+  const changed = classifiedJobs.filter(job => before.get(store.get(profile.name, job).key) !== job.aiClassification);
+  
+  return {
+    profile: profile.name,
+    processing: { processed: classifiedJobs.length, changed: changed.length },
+    classification: summarizeClassifications(classifiedJobs),
+    cache: summarizeCache(classifiedJobs),
+    jobs: rankByFitScore(classifiedJobs)
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Candidate profile utilities
+ * Profiles drive both the LLM prompt and the offline classifier
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pickAdzunaFilters } from './adzuna.js';
+import { SCORE_CRITERIA, DEFAULT_SCORE_WEIGHTS, DEFAULT_FIT_THRESHOLDS } from './score.js';
+import { parseMinSalary } from './salary.js';
+
+const PROFILES_PATH = process.env.PROFILES_PATH || path.join(process.cwd(), 'config', 'profiles.json');
+
+let cachedProfiles = null;
+
+function readProfilesFile() {
+  if (cachedProfiles) return cachedProfiles;
+
+  try {
+    cachedProfiles = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load profiles from ${PROFILES_PATH}: ${error.message}`);
+  }
+  return cachedProfiles;
+}
+
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Queries may be plain strings or objects with per-query settings ({ what, pages, ... })
+function toQueryList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(query => (typeof query === 'string' ? query.trim() : query))
+    .filter(Boolean);
+}
+
+// Partial weights are merged over the defaults; a weight of 0 ignores that criterion
+function toScoreWeights(value, profileName) {
+  const weights = { ...DEFAULT_SCORE_WEIGHTS, ...(value || {}) };
+  const unknown = Object.keys(weights).filter(criterion => !SCORE_CRITERIA.includes(criterion));
+  if (unknown.length > 0) {
+    throw new Error(`Profile "${profileName}" has unknown score criteria: ${unknown.join(', ')} (use ${SCORE_CRITERIA.join(', ')})`);
+  }
+  if (Object.values(weights).some(weight => !Number.isFinite(Number(weight)) || Number(weight) < 0)) {
+    throw new Error(`Profile "${profileName}" score weights must be non-negative numbers`);
+  }
+  return Object.fromEntries(SCORE_CRITERIA.map(criterion => [criterion, Number(weights[criterion])]));
+}
+
+function toFitThresholds(value, profileName) {
+  const goodFit = Number(value?.goodFit ?? DEFAULT_FIT_THRESHOLDS.goodFit);
+  const maybeFit = Number(value?.maybeFit ?? DEFAULT_FIT_THRESHOLDS.maybeFit);
+  if (!(maybeFit >= 0 && goodFit <= 100 && maybeFit <= goodFit)) {
+    throw new Error(`Profile "${profileName}" needs 0 ≤ fitThresholds.maybeFit ≤ fitThresholds.goodFit ≤ 100`);
+  }
+  return { goodFit, maybeFit };
+}
+
+export function normalizeProfile(profile, name = 'custom') {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error('Profile must be an object');
+  }
+
+  const stack = toList(profile.stack);
+  if (stack.length === 0) {
+    throw new Error(`Profile "${profile.name || name}" must list at least one stack technology`);
+  }
+
+  const min = Number(profile.experience?.min ?? 0);
+  const max = Number(profile.experience?.max ?? min + 2);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min) {
+    throw new Error(`Profile "${profile.name || name}" has an invalid experience range`);
+  }
+
+  const profileName = profile.name || name;
+
+  return {
+    name: profileName,
+    // Each profile writes to its own tab; "default" keeps using the first tab
+    sheetName: profile.sheetName || (profileName === 'default' ? null : profileName),
+    queries: toQueryList(profile.queries),
+    location: profile.location || null,
+    pages: parseInt(profile.pages) || null,
+    resultsPerPage: parseInt(profile.resultsPerPage) || null,
+    filters: pickAdzunaFilters(profile),
+    sources: Array.isArray(profile.sources) && profile.sources.length > 0 ? profile.sources : null,
+    role: profile.role || `${stack.slice(0, 3).join(' / ')} developer`,
+    stack,
+    keywords: toList(profile.keywords),
+    experience: { min, max },
+    locations: toList(profile.locations),
+    mustHaves: toList(profile.mustHaves),
+    dealBreakers: toList(profile.dealBreakers),
+    scoreWeights: toScoreWeights(profile.scoreWeights, profileName),
+    fitThresholds: toFitThresholds(profile.fitThresholds, profileName),
+    // Yearly, in the rate table's base currency; jobs paying less are skipped before classification
+    minSalary: parseMinSalary(profile.minSalary)
+  };
+}
+
+export function listProfileNames() {
+  return Object.keys(readProfilesFile());
+}
+
+// Accepts a profile name from config/profiles.json, an inline profile object, or nothing (default)
+// Unknown names and invalid inline profiles come from the request (400); a bad
+// entry in config/profiles.json stays a server error
+export function loadProfile(input = 'default') {
+  if (input && typeof input === 'object') {
+    try {
+      return normalizeProfile(input);
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const profiles = readProfilesFile();
+  const profile = profiles[input];
+  if (!profile) {
+    const error = new Error(`Unknown profile "${input}". Available: ${Object.keys(profiles).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalizeProfile(profile, input);
+}
+
+// Build a profile from the output of extractSkillsFromResume
+export function profileFromResume(resumeData, name = 'resume') {
+  const years = Number(resumeData.experienceYears) || 0;
+  const base = loadProfile('default');
+
+  return normalizeProfile({
+    name,
+    role: resumeData.preferredRoles?.join(' / ') || base.role,
+    stack: [resumeData.techStack, resumeData.skills, base.stack].find(list => list?.length),
+    experience: { min: Math.max(0, years - 1), max: years + 2 },
+    locations: toList(String(resumeData.location || '').split('/')),
+    dealBreakers: []
+  }, name);
+}
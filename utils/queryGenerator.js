@@ -1,13 +1,18 @@
 // utils/queryGenerator.js
 export function generateSearchQueries(resumeData) {
-  const { skills, preferredRoles, techStack } = resumeData;
+  const { preferredRoles = [], techStack = [] } = resumeData || {};
   
   const queries = [
     ...preferredRoles.map(role => role.toLowerCase()),
-    ...techStack.map(tech => `${tech} developer`),
-    `${techStack.join(' ')} developer`,
-    `${resumeData.experienceYears} year ${techStack[0]} developer`
+    ...techStack.map(tech => `${tech} developer`.toLowerCase())
   ];
+
+  if (techStack.length > 1) {
+    queries.push(`${techStack.slice(0, 3).join(' ')} developer`.toLowerCase());
+  }
+  if (techStack.length > 0 && resumeData.experienceYears > 0) {
+    queries.push(`${resumeData.experienceYears} year ${techStack[0]} developer`.toLowerCase());
+  }
   
   return [...new Set(queries)].slice(0, 5); // unique, max 5
-}
\ No newline at end of file
+}
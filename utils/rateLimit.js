@@ -0,0 +1,256 @@
+/**
+ * Shared rate limiting and retry policy for every outbound API call
+ * - one token bucket per service (Adzuna, LLM providers, Google Sheets, public job boards)
+ * - exponential backoff with full jitter, honouring Retry-After
+ * - a per-day request budget so a run can't burn through the free tiers
+ *
+ * A bucket slows down after a 429 and recovers gradually on success.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SERVICES = {
+  // Free tier: 1000 requests/month → ~33/day
+  adzuna: { capacity: 1, perSecond: 1, dailyBudget: 33 },
+  // Free tier: 10-15 requests/minute, 1500/day
+  gemini: { capacity: 1, perSecond: 1 / 6, dailyBudget: 1500 },
+  // OpenAI-compatible APIs; paid per token, so no daily budget by default
+  openai: { capacity: 1, perSecond: 1, dailyBudget: null },
+  // Local Ollama / llama.cpp server: one prompt at a time
+  local: { capacity: 1, perSecond: 1, dailyBudget: null },
+  // 60 requests/minute per user
+  sheets: { capacity: 5, perSecond: 1, dailyBudget: null },
+  // Remotive, Arbeitnow, Greenhouse, Lever, RSS feeds
+  sources: { capacity: 2, perSecond: 1, dailyBudget: null },
+  // Slack / Discord incoming webhooks (digests)
+  webhooks: { capacity: 1, perSecond: 1, dailyBudget: null },
+  // Google Drive (application materials as Google Docs)
+  drive: { capacity: 1, perSecond: 1, dailyBudget: null }
+};
+
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+const USAGE_PATH = process.env.RATE_LIMIT_USAGE_PATH || (process.env.VERCEL
+  ? '/tmp/job-scout/usage.json'
+  : path.join(process.cwd(), 'data', 'usage.json'));
+
+const buckets = new Map();
+let usage = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function serviceConfig(service) {
+  const config = SERVICES[service];
+  if (!config) {
+    throw new Error(`Unknown rate-limited service: ${service}`);
+  }
+  const envBudget = parseInt(process.env[`${service.toUpperCase()}_DAILY_BUDGET`]);
+  return { ...config, dailyBudget: Number.isFinite(envBudget) ? envBudget : config.dailyBudget };
+}
+
+function getBucket(service) {
+  if (!buckets.has(service)) {
+    const config = serviceConfig(service);
+    buckets.set(service, {
+      ...config,
+      rate: config.perSecond,
+      tokens: config.capacity,
+      updatedAt: Date.now(),
+      queue: Promise.resolve(),
+      stats: { calls: 0, retries: 0, throttled: 0, waitedMs: 0 }
+    });
+  }
+  return buckets.get(service);
+}
+
+// Daily counts survive between invocations on the same machine (best effort on Vercel)
+function loadUsage() {
+  if (usage) return usage;
+  try {
+    usage = JSON.parse(fs.readFileSync(USAGE_PATH, 'utf8'));
+  } catch {
+    usage = {};
+  }
+  if (usage.date !== today()) {
+    usage = { date: today(), counts: {} };
+  }
+  return usage;
+}
+
+function recordUsage(service) {
+  const current = loadUsage();
+  if (current.date !== today()) {
+    usage = { date: today(), counts: {} };
+  }
+  usage.counts[service] = (usage.counts[service] || 0) + 1;
+  try {
+    fs.mkdirSync(path.dirname(USAGE_PATH), { recursive: true });
+    fs.writeFileSync(USAGE_PATH, JSON.stringify(usage));
+  } catch (error) {
+    console.warn(`⚠️ Could not persist API usage: ${error.message}`);
+  }
+}
+
+function usedToday(service) {
+  const current = loadUsage();
+  return current.date === today() ? current.counts[service] || 0 : 0;
+}
+
+// Take one token, waiting for the bucket to refill; callers queue in order
+function acquire(service) {
+  const bucket = getBucket(service);
+
+  const turn = bucket.queue.then(async () => {
+    const refill = () => {
+      const now = Date.now();
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate);
+      bucket.updatedAt = now;
+    };
+
+    refill();
+    if (bucket.tokens < 1) {
+      const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+      bucket.stats.waitedMs += waitMs;
+      await sleep(waitMs);
+      refill();
+    }
+    bucket.tokens -= 1;
+  });
+
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+function slowDown(bucket) {
+  bucket.rate = Math.max(bucket.perSecond / 4, bucket.rate / 2);
+  bucket.stats.throttled++;
+}
+
+function recover(bucket) {
+  bucket.rate = Math.min(bucket.perSecond, bucket.rate * 1.1);
+}
+
+// Retry-After is either seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function backoffDelay(attempt, { baseDelayMs = RETRY_DEFAULTS.baseDelayMs, maxDelayMs = RETRY_DEFAULTS.maxDelayMs } = {}) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// HTTP status of a thrown error (fetch wrappers, googleapis)
+function errorStatus(error) {
+  const status = error.status ?? error.response?.status ?? error.code;
+  return typeof status === 'number' ? status : null;
+}
+
+function errorRetryAfter(error) {
+  const headers = error.response?.headers;
+  return parseRetryAfter(typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+}
+
+function budgetError(service, budget) {
+  const error = new Error(`Daily ${service} budget of ${budget} requests used up`);
+  error.status = 429;
+  error.code = 'QUOTA_EXHAUSTED';
+  return error;
+}
+
+/**
+ * Run `call` under the service's rate limit and retry policy.
+ * `call` either throws (status read from error.status / error.response.status / error.code)
+ * or returns a value; `retryOn(value)` can flag a returned value (e.g. a 429 Response) for retry.
+ * Non-idempotent calls (appends) are only retried on 429, when the server did nothing.
+ */
+export async function withRateLimit(service, call, {
+  retries = RETRY_DEFAULTS.retries,
+  baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+  maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+  idempotent = true,
+  retryOn = () => null
+} = {}) {
+  const bucket = getBucket(service);
+
+  for (let attempt = 0; ; attempt++) {
+    if (bucket.dailyBudget != null && usedToday(service) >= bucket.dailyBudget) {
+      throw budgetError(service, bucket.dailyBudget);
+    }
+
+    await acquire(service);
+    recordUsage(service);
+    bucket.stats.calls++;
+
+    let failure;
+    try {
+      const result = await call();
+      const retry = retryOn(result);
+      if (!retry) {
+        recover(bucket);
+        return result;
+      }
+      failure = { ...retry, result };
+    } catch (error) {
+      const status = errorStatus(error);
+      // No status means a network-level failure, which is worth retrying
+      if (status != null && !isRetryableStatus(status)) throw error;
+      failure = { status, retryAfterMs: errorRetryAfter(error), error };
+    }
+
+    if (failure.status === 429) {
+      slowDown(bucket);
+    }
+
+    const delay = failure.retryAfterMs ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+    // Out of attempts, told to wait longer than a serverless run can afford, or unsafe to repeat
+    if (attempt >= retries || delay > maxDelayMs || (!idempotent && failure.status !== 429)) {
+      if (failure.error) throw failure.error;
+      return failure.result;
+    }
+
+    console.warn(`⏳ ${service} ${failure.status || 'network error'}, retry ${attempt + 1}/${retries} in ${delay}ms`);
+    bucket.stats.retries++;
+    bucket.stats.waitedMs += delay;
+    await sleep(delay);
+  }
+}
+
+// fetch() through the limiter; 408/429/5xx responses are retried, then returned as-is
+export function rateLimitedFetch(service, url, init = {}, { fetch: fetchImpl = fetch, ...options } = {}) {
+  return withRateLimit(service, () => fetchImpl(url, init), {
+    ...options,
+    retryOn: response => (isRetryableStatus(response.status)
+      ? { status: response.status, retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after')) }
+      : null)
+  });
+}
+
+export function getRateLimitStats() {
+  return Object.fromEntries(Object.keys(SERVICES).map(service => {
+    const bucket = getBucket(service);
+    return [service, {
+      ...bucket.stats,
+      usedToday: usedToday(service),
+      dailyBudget: bucket.dailyBudget
+    }];
+  }));
+}
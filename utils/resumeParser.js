@@ -1,9 +1,48 @@
 // utils/resumeParser.js
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { PDFParse } from "pdf-parse";
+import mammoth from "mammoth";
+import { generateText } from "./llm.js";
+
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// A resume we can't read is a bad request (400), not a server error
+function resumeError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Turn an uploaded PDF/DOCX (or plain text) resume into raw text
+export async function extractResumeText(buffer, { filename = "", mimeType = "" } = {}) {
+  const name = filename.toLowerCase();
+
+  if (mimeType === "application/pdf" || name.endsWith(".pdf")) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText();
+      return result.text.trim();
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  if (mimeType === DOCX_MIME_TYPE || name.endsWith(".docx")) {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value.trim();
+  }
+
+  if (mimeType.startsWith("text/") || name.endsWith(".txt") || name.endsWith(".md")) {
+    return buffer.toString("utf8").trim();
+  }
+
+  throw resumeError(`Unsupported resume format: ${filename || mimeType || "unknown"} (use PDF, DOCX or plain text)`);
+}
 
 export async function extractSkillsFromResume(resumeText) {
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0 flash" });
+  if (!resumeText || !resumeText.trim()) {
+    throw resumeError("Resume text is empty");
+  }
 
   const prompt = `
 Extract skills, experience level, and job preferences from this resume:
@@ -18,8 +57,18 @@ Return JSON:
   "techStack": ["Node.js", "React"],
   "location": "Remote/Bangalore"
 }
+
+Respond only with valid JSON.
 `;
 
-  const result = await model.generateContent(prompt);
-  return JSON.parse(result.response.text());
-}
\ No newline at end of file
+  const { text } = await generateText(prompt, { task: "resume" });
+  const profile = JSON.parse(text);
+
+  return {
+    skills: profile.skills || [],
+    experienceYears: Number(profile.experienceYears) || 0,
+    preferredRoles: profile.preferredRoles || [],
+    techStack: profile.techStack || [],
+    location: profile.location || "",
+  };
+}
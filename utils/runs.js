@@ -0,0 +1,494 @@
+/**
+ * Resumable runs
+ * A run is a job with an ID. Its progress is checkpointed to disk after the
+ * fetch step and after every classification batch, so a follow-up
+ * `POST /api/jobs?action=resume&runId=…` carries on where a timed-out
+ * invocation stopped, without fetching or classifying anything twice.
+ *
+ * Checkpoints only hold job keys and counters; the postings themselves live in
+ * the job store. When sheet sync is on, each run's status and checkpoint are
+ * mirrored to the "_state" tab along with the postings it still needs, so it
+ * can be polled and resumed from any serverless instance.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { waitUntil } from '@vercel/functions';
+import { fetchProfileJobs, classifyProfileJobs, summarizeClassifications, summarizeCache } from './pipeline.js';
+import { getJobStore, recordToJob, jobKey } from './store.js';
+import * as sheetState from './state.js';
+import { isSheetSyncEnabled } from './sync.js';
+import { sendDigest } from './notify.js';
+import { rankByFitScore } from './score.js';
+
+const RUNS_DIR = process.env.RUNS_PATH || (process.env.VERCEL
+  ? '/tmp/job-scout/runs'
+  : path.join(process.cwd(), 'data', 'runs'));
+
+// Vercel kills the function at maxDuration in vercel.json (keep the two in sync).
+// Elsewhere nothing cuts an invocation short unless FUNCTION_MAX_DURATION_MS says so.
+export const FUNCTION_MAX_DURATION_MS = parseInt(process.env.FUNCTION_MAX_DURATION_MS) ||
+  (process.env.VERCEL ? 60000 : null);
+
+// Hand over before that, leaving a quarter of the limit for the prompt in flight and the sheet sync
+const RUN_TIME_BUDGET_MS = parseInt(process.env.RUN_TIME_BUDGET_MS) ||
+  (FUNCTION_MAX_DURATION_MS ? Math.round(FUNCTION_MAX_DURATION_MS * 0.75) : null);
+
+// Off Vercel nothing kills a run at a known time, but it checkpoints after every
+// batch; one silent for this long is assumed to have crashed
+const RUN_STALE_AFTER_MS = parseInt(process.env.RUN_STALE_AFTER_MS) || FUNCTION_MAX_DURATION_MS || 10 * 60 * 1000;
+
+function runPath(runId) {
+  if (!/^[\w-]+$/.test(runId)) {
+    throw new Error(`Invalid runId: ${runId}`);
+  }
+  return path.join(RUNS_DIR, `${runId}.json`);
+}
+
+export function saveRun(run) {
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  const filePath = runPath(run.runId);
+  const tmpPath = `${filePath}.tmp`;
+  run.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpPath, JSON.stringify(run, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Where runs are mirrored: the "_state" tab when sheet sync is on, else nowhere.
+// Anything with the same functions as utils/state.js will do.
+function defaultRunState() {
+  return isSheetSyncEnabled() ? sheetState : null;
+}
+
+// A Sheets cell holds at most 50,000 characters
+const STATE_CHUNK_CHARS = 40000;
+
+// Status for pollers on other instances, plus the checkpoint to resume from
+// (or the final report once done)
+async function mirrorRun(run, state) {
+  if (!state) return;
+  
+  try {
+    const { jobs, ...report } = buildRunReport(run);
+    const completed = run.status === 'completed';
+    const checkpointJson = JSON.stringify(run);
+    if (!completed && checkpointJson.length > STATE_CHUNK_CHARS) {
+      console.warn(`⚠️ Run ${run.runId} checkpoint is too large for the sheet; it can only be resumed on this instance`);
+    }
+    await state.setState(`run:${run.runId}`, {
+      ...getRunStatus(run),
+      report: completed ? { ...report, profiles: report.profiles.map(({ jobs, ...profile }) => profile) } : undefined,
+      checkpoint: !completed && checkpointJson.length <= STATE_CHUNK_CHARS ? run : undefined
+    });
+    if (completed) {
+      await state.deleteState(`run:${run.runId}:jobs:`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not mirror run ${run.runId} to the sheet: ${error.message}`);
+  }
+}
+
+// Jobs packed into chunks that each fit a cell. A posting too long on its own
+// keeps the part of its description the classifier reads.
+function chunkPayload(jobs) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const job of jobs) {
+    let json = JSON.stringify(job);
+    let entry = job;
+    if (json.length > STATE_CHUNK_CHARS) {
+      entry = { ...job, description: (job.description || '').slice(0, 2000) };
+      json = JSON.stringify(entry);
+    }
+    if (current.length > 0 && size + json.length > STATE_CHUNK_CHARS) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(entry);
+    size += json.length;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+// The postings behind the checkpoint's keys: fetched ones once, then each
+// classified batch. Another instance replays them into its job store.
+async function mirrorJobs(run, profileName, event, jobs, state) {
+  if (!state || jobs.length === 0) return;
+  
+  try {
+    for (const chunk of chunkPayload(jobs)) {
+      const seq = (run.payloads || 0) + 1;
+      await state.setState(`run:${run.runId}:jobs:${seq}`, { seq, profile: profileName, event, jobs: chunk });
+      run.payloads = seq;
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not mirror the jobs of run ${run.runId} to the sheet: ${error.message}`);
+  }
+}
+
+// Replay the mirrored postings into this instance's job store
+async function restoreJobs(run, store, state) {
+  const entries = (await state.getStateEntries(`run:${run.runId}:jobs:`))
+    .map(entry => entry.value)
+    .sort((a, b) => a.seq - b.seq);
+  
+  for (const { seq, profile, event, jobs } of entries) {
+    if (event === 'classified') {
+      jobs.forEach(job => store.recordClassification(job, profile));
+    } else {
+      store.recordFetched(jobs, profile);
+    }
+    // A checkpoint mirrored before the last few chunks mustn't overwrite them
+    run.payloads = Math.max(run.payloads || 0, seq);
+  }
+  console.log(`📥 Restored ${entries.length} job chunks of run ${run.runId} from the sheet`);
+}
+
+// Each mirror costs a few Sheets calls, so progress updates are spaced out
+const MIRROR_INTERVAL_MS = 15000;
+const lastMirrored = new Map();
+
+// Local checkpoint on every step; sheet mirror on status changes and periodic progress
+async function checkpoint(run, { state, mirror = false, force = false } = {}) {
+  saveRun(run);
+  if (force || (mirror && Date.now() - (lastMirrored.get(run.runId) || 0) >= MIRROR_INTERVAL_MS)) {
+    lastMirrored.set(run.runId, Date.now());
+    await mirrorRun(run, state);
+  }
+}
+
+export function loadRun(runId) {
+  const filePath = runPath(runId);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// A run to resume or notify: the local checkpoint, else the one mirrored to the
+// sheet, with its postings replayed into the job store
+export async function findRun(runId, { store = getJobStore(), state = defaultRunState() } = {}) {
+  const local = loadRun(runId);
+  if (local || !state) {
+    return local;
+  }
+  
+  const mirrored = await state.getState(`run:${runId}`);
+  if (!mirrored?.checkpoint) {
+    return null;
+  }
+  // Not saved here: saving would refresh updatedAt and hide a stale run
+  const run = mirrored.checkpoint;
+  await restoreJobs(run, store, state);
+  return run;
+}
+
+// runs: [{ profile, queries, location, sources, pages, resultsPerPage, filters }]
+export function createRun(runs, { maxJobs, resumeProfile = null } = {}) {
+  const now = new Date().toISOString();
+  const run = {
+    runId: `${now.slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`,
+    status: 'queued',
+    phase: 'queued',
+    createdAt: now,
+    maxJobs,
+    resumeProfile,
+    invocations: 0,
+    profiles: runs.map(({ profile, ...options }) => ({
+      profile,
+      options,
+      stage: 'fetch', // fetch → classify → done
+      fetch: null,
+      pendingKeys: [],
+      processedKeys: [],
+      classification: summarizeClassifications([]),
+      cache: { hits: 0, misses: 0, stale: 0 },
+      sync: { inserted: 0, updated: 0, merged: 0, failedBatches: 0 }
+    }))
+  };
+  saveRun(run);
+  return run;
+}
+
+// Run (or continue) every profile of a run, checkpointing as it goes
+export async function advanceRun(run, {
+  store = getJobStore(),
+  state = defaultRunState(),
+  fetch,
+  timeBudgetMs = RUN_TIME_BUDGET_MS
+} = {}) {
+  const startTime = Date.now();
+  const outOfTime = () => timeBudgetMs != null && Date.now() - startTime > timeBudgetMs;
+
+  run.status = 'running';
+  run.invocations++;
+  delete run.error;
+  await checkpoint(run, { state, force: true });
+
+  try {
+    await advanceProfiles(run, { store, state, fetch, outOfTime });
+  } catch (error) {
+    // Whatever was checkpointed stays; the run can still be resumed
+    run.status = 'failed';
+    run.phase = 'failed';
+    run.error = error.message;
+    await checkpoint(run, { state, force: true });
+    error.runId = run.runId;
+    throw error;
+  }
+
+  if (run.profiles.every(entry => entry.stage === 'done')) {
+    run.status = 'completed';
+    run.phase = 'completed';
+    run.completedAt = new Date().toISOString();
+    // Saved first so a slow channel can't leave a finished run looking unfinished
+    await checkpoint(run, { state });
+    await notifyRun(run, { store });
+  } else {
+    run.status = 'paused';
+    run.phase = 'paused';
+    console.log(`⏸️ Run ${run.runId} paused; resume with action=resume&runId=${run.runId}`);
+  }
+  await checkpoint(run, { state, force: true });
+  return run;
+}
+
+// Jobs this run classified for the first time. One an earlier run classified was
+// in that run's digest already, even if this run saw it again (e.g. a cache hit).
+function newRunJobs(run, store) {
+  return rankByFitScore(run.profiles
+    .flatMap(entry => entry.processedKeys)
+    .map(key => store.getByKey(key))
+    .filter(record => record?.history.find(entry => entry.event === 'classified')?.at >= run.createdAt)
+    .map(recordToJob));
+}
+
+// Digest of the run's new jobs, sent once unless forced; a failed channel doesn't fail the run
+export async function notifyRun(run, { store = getJobStore(), force = false } = {}) {
+  if (run.digest && !force) return run.digest;
+  
+  try {
+    run.digest = await sendDigest(newRunJobs(run, store), { runId: run.runId });
+  } catch (error) {
+    console.error(`❌ Digest for run ${run.runId} failed:`, error.message);
+    run.digest = [{ success: false, error: error.message }];
+  }
+  return run.digest;
+}
+
+// Kick off (or continue) a run without holding the request open. On Vercel,
+// waitUntil keeps the function alive after the response until the run settles.
+export function advanceRunInBackground(run, options = {}) {
+  run.status = 'running';
+  saveRun(run);
+  
+  const work = advanceRun(run, options).catch(error => {
+    console.error(`❌ Run ${run.runId} failed:`, error);
+  });
+  waitUntil(work);
+  return work;
+}
+
+async function advanceProfiles(run, { store, state, fetch, outOfTime }) {
+  for (const entry of run.profiles) {
+    if (entry.stage === 'done') continue;
+    if (outOfTime()) break;
+
+    const { profile } = entry;
+
+    if (entry.stage === 'fetch') {
+      run.phase = `fetching:${profile.name}`;
+      await checkpoint(run, { state, mirror: true });
+      
+      const fetched = await fetchProfileJobs(profile, { ...entry.options, maxJobs: run.maxJobs, store, fetch });
+      entry.fetch = {
+        queries: fetched.queries,
+        sources: fetched.sources,
+        fetched: fetched.fetched,
+        duplicatesMerged: fetched.duplicatesMerged,
+        belowMinSalary: fetched.belowMinSalary
+      };
+      entry.pendingKeys = fetched.jobs.map(job => store.get(profile.name, job).key);
+      entry.stage = 'classify';
+      // Fetching is the step most worth not repeating on another instance
+      await mirrorJobs(run, profile.name, 'fetched', fetched.jobs, state);
+      await checkpoint(run, { state, force: true });
+    }
+
+    // Checkpoints only hold keys, so the postings must be in this instance's store
+    // (or mirrored to the sheet by the instance that fetched them)
+    let pending = entry.pendingKeys.map(key => store.getByKey(key));
+    if (state && pending.some(record => !record)) {
+      await restoreJobs(run, store, state);
+      pending = entry.pendingKeys.map(key => store.getByKey(key));
+    }
+    const missing = pending.filter(record => !record).length;
+    if (missing > 0) {
+      throw new Error(`${missing} pending jobs of run ${run.runId} are not in the job store at ${store.filePath}`);
+    }
+
+    // A timeout mid-batch can leave jobs classified but not checkpointed; don't redo them
+    const alreadyDone = pending.filter(record => record.classification?.classifiedAt >= run.createdAt);
+    if (alreadyDone.length > 0) {
+      markProcessed(entry, alreadyDone.map(recordToJob));
+      saveRun(run);
+    }
+    const remaining = pending.filter(record => !alreadyDone.includes(record));
+
+    if (remaining.length > 0) {
+      console.log(`▶️ Run ${run.runId}: ${remaining.length} jobs pending for ${profile.name}`);
+      run.phase = `classifying:${profile.name}`;
+      await checkpoint(run, { state, mirror: true });
+      
+      await classifyProfileJobs(profile, remaining.map(recordToJob), {
+        store,
+        shouldStop: outOfTime,
+        onBatch: async (batch, syncResult) => {
+          const cacheStats = summarizeCache(batch);
+          entry.cache.hits += cacheStats.hits;
+          entry.cache.misses += cacheStats.misses;
+          entry.cache.stale += cacheStats.stale;
+          entry.sync.inserted += syncResult.inserted || 0;
+          entry.sync.updated += syncResult.updated || 0;
+          entry.sync.merged += syncResult.merged || 0;
+          entry.sync.failedBatches += syncResult.success === false ? 1 : 0;
+          markProcessed(entry, batch);
+          await mirrorJobs(run, profile.name, 'classified', batch, state);
+          await checkpoint(run, { state, mirror: true });
+        }
+      });
+    }
+
+    if (entry.pendingKeys.length === 0) {
+      entry.stage = 'done';
+      saveRun(run);
+    }
+  }
+}
+
+function markProcessed(entry, jobs) {
+  const keys = jobs.map(job => `${entry.profile.name}::${jobKey(job)}`);
+  const done = new Set(keys);
+  const counts = summarizeClassifications(jobs);
+  Object.keys(counts).forEach(field => { entry.classification[field] += counts[field]; });
+  entry.pendingKeys = entry.pendingKeys.filter(key => !done.has(key));
+  entry.processedKeys.push(...keys.filter(key => !entry.processedKeys.includes(key)));
+}
+
+// Every invocation checkpoints when it starts, so a run still `running` with no
+// checkpoint for longer than the function limit was killed mid-invocation
+export function isRunStale(run, now = Date.now()) {
+  return run.status === 'running' && now - Date.parse(run.updatedAt) > RUN_STALE_AFTER_MS;
+}
+
+export function getRunStatus(run) {
+  const sum = (pick) => run.profiles.reduce((total, entry) => total + pick(entry), 0);
+  
+  return {
+    runId: run.runId,
+    status: isRunStale(run) ? 'stale' : run.status,
+    phase: run.phase,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    completedAt: run.completedAt,
+    fetched: sum(entry => entry.fetch?.fetched || 0),
+    classified: sum(entry => entry.processedKeys.length),
+    pending: sum(entry => entry.pendingKeys.length),
+    inserted: sum(entry => entry.sync.inserted),
+    updated: sum(entry => entry.sync.updated),
+    errors: sum(entry => entry.classification.errors + entry.sync.failedBatches) + (run.error ? 1 : 0),
+    error: run.error
+  };
+}
+
+// Status for a runId: local checkpoint first, then the copy mirrored to the sheet
+export async function findRunStatus(runId, { state = defaultRunState() } = {}) {
+  const run = loadRun(runId);
+  if (run) {
+    return { ...getRunStatus(run), report: null, local: true };
+  }
+  if (!state) {
+    return null;
+  }
+  const mirrored = await state.getState(`run:${runId}`);
+  if (!mirrored) {
+    return null;
+  }
+  const { checkpoint: saved, ...status } = mirrored;
+  return { ...status, status: isRunStale(status) ? 'stale' : status.status, local: false };
+}
+
+// Report for the API. Counters come from the checkpoint so they cover every
+// invocation; the jobs themselves are read back from the store.
+export function buildRunReport(run, { store = getJobStore() } = {}) {
+  const profiles = run.profiles.map(entry => {
+    const jobs = rankByFitScore(entry.processedKeys
+      .map(key => store.getByKey(key))
+      .filter(Boolean)
+      .map(recordToJob));
+    const processed = entry.processedKeys.length;
+
+    return {
+      profile: entry.profile.name,
+      sheetName: entry.profile.sheetName,
+      stage: entry.stage,
+      queries: entry.fetch?.queries,
+      sources: entry.fetch?.sources,
+      processing: {
+        fetched: entry.fetch?.fetched || 0,
+        duplicatesMerged: entry.fetch?.duplicatesMerged || 0,
+        belowMinSalary: entry.fetch?.belowMinSalary || 0,
+        processed,
+        pending: entry.pendingKeys.length
+      },
+      classification: entry.classification,
+      cache: {
+        ...entry.cache,
+        hitRate: processed > 0 ? Math.round((entry.cache.hits / processed) * 100) / 100 : 0
+      },
+      sync: entry.sync,
+      jobs
+    };
+  });
+
+  const status = getRunStatus(run);
+  const sum = (pick) => profiles.reduce((total, profile) => total + pick(profile), 0);
+  const hits = sum(profile => profile.cache.hits);
+
+  return {
+    runId: run.runId,
+    status: run.status,
+    phase: run.phase,
+    createdAt: run.createdAt,
+    completedAt: run.completedAt,
+    invocations: run.invocations,
+    error: run.error,
+    resumeProfile: run.resumeProfile || undefined,
+    digest: run.digest,
+    processing: {
+      fetched: status.fetched,
+      processed: status.classified,
+      pending: status.pending,
+      inserted: status.inserted,
+      updated: status.updated
+    },
+    classification: {
+      goodFit: sum(profile => profile.classification.goodFit),
+      maybeFit: sum(profile => profile.classification.maybeFit),
+      ignore: sum(profile => profile.classification.ignore),
+      errors: sum(profile => profile.classification.errors)
+    },
+    cache: {
+      hits,
+      misses: sum(profile => profile.cache.misses),
+      stale: sum(profile => profile.cache.stale),
+      hitRate: status.classified > 0 ? Math.round((hits / status.classified) * 100) / 100 : 0
+    },
+    profiles,
+    jobs: rankByFitScore(profiles.flatMap(profile => profile.jobs))
+  };
+}
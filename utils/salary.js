@@ -0,0 +1,252 @@
+/**
+ * Salary normalization
+ * Source salaries (Adzuna figures, Lever ranges, free text like "$80k - $100k")
+ * become { min, max, currency, period, isPredicted }. Yearly figures are also
+ * converted to the base currency of config/currency-rates.json (INR by
+ * default) and INR amounts are expressed in LPA (lakhs per annum).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const RATES_PATH = process.env.CURRENCY_RATES_PATH || path.join(process.cwd(), 'config', 'currency-rates.json');
+
+// Adzuna reports yearly salaries in the country's own currency
+const ADZUNA_COUNTRY_CURRENCY = {
+  in: 'INR', gb: 'GBP', us: 'USD', ca: 'CAD', au: 'AUD', nz: 'NZD', sg: 'SGD', za: 'ZAR',
+  br: 'BRL', mx: 'MXN', pl: 'PLN', ch: 'CHF',
+  at: 'EUR', be: 'EUR', de: 'EUR', es: 'EUR', fr: 'EUR', it: 'EUR', nl: 'EUR'
+};
+
+// Working periods per year, for yearly figures
+const PERIODS_PER_YEAR = { year: 1, month: 12, week: 52, day: 260, hour: 2080 };
+
+const LAKH = 100000;
+
+const CURRENCY_SYMBOLS = { '₹': 'INR', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+
+// "Rs. 8,00,000", "Rs 50k": the usual way to write rupees without ₹
+const RUPEES = /\b[Rr]s\.?(?=\s*\d)/;
+
+let cachedRates = null;
+
+export function getCurrencyRates() {
+  if (cachedRates) return cachedRates;
+
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(RATES_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load currency rates from ${RATES_PATH}: ${error.message}`);
+  }
+  if (!/^[A-Z]{3}$/.test(table.base || '') || !table.rates || table.rates[table.base] !== 1) {
+    throw new Error(`Currency rates in ${RATES_PATH} need a "base" currency with a rate of 1`);
+  }
+
+  cachedRates = { base: table.base, asOf: table.asOf || null, rates: table.rates };
+  return cachedRates;
+}
+
+export function currencyForAdzunaCountry(countryCode) {
+  return ADZUNA_COUNTRY_CURRENCY[countryCode] || null;
+}
+
+function toAmount(value) {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Structured salary, or null when there is no usable figure.
+ * raw: { min, max, currency, period = 'year', isPredicted }
+ */
+export function normalizeSalary(raw) {
+  if (!raw) return null;
+
+  let min = toAmount(raw.min);
+  let max = toAmount(raw.max);
+  if (min == null && max == null) return null;
+  if (min != null && max != null && min > max) [min, max] = [max, min];
+
+  const currency = /^[A-Z]{3}$/.test(String(raw.currency || '').toUpperCase()) ? String(raw.currency).toUpperCase() : null;
+  const period = PERIODS_PER_YEAR[raw.period] ? raw.period : 'year';
+  const perYear = PERIODS_PER_YEAR[period];
+  const yearly = { min: min != null ? min * perYear : null, max: max != null ? max * perYear : null };
+
+  const { base, rates } = getCurrencyRates();
+  const rate = currency ? rates[currency] : null;
+  const converted = rate
+    ? { min: yearly.min != null ? Math.round(yearly.min * rate) : null, max: yearly.max != null ? Math.round(yearly.max * rate) : null, currency: base }
+    : null;
+
+  // LPA for INR figures, directly or after conversion
+  const inr = currency === 'INR' ? yearly : converted?.currency === 'INR' ? converted : null;
+  const toLpa = amount => (amount != null ? Math.round((amount / LAKH) * 10) / 10 : null);
+
+  return {
+    min,
+    max,
+    currency,
+    period,
+    isPredicted: raw.isPredicted === true,
+    yearly,
+    converted,
+    lpa: inr ? { min: toLpa(inr.min), max: toLpa(inr.max) } : null
+  };
+}
+
+function parseAmount(number, suffix) {
+  const value = Number(number.replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  switch ((suffix || '').toLowerCase()) {
+    case 'k': return value * 1000;
+    case 'm': return value * 1000000;
+    case 'l': case 'lakh': case 'lakhs': case 'lac': case 'lacs': case 'lpa': return value * LAKH;
+    case 'cr': case 'crore': return value * 100 * LAKH;
+    default: return value;
+  }
+}
+
+// Symbol or rate-table code written right before / after a number
+function adjacentCurrency(before, after, rates) {
+  const prefix = before.match(/([₹$€£¥]|\b[Rr]s\.?|\b[A-Z]{3})\s*$/)?.[1];
+  if (prefix && /^[Rr]s/.test(prefix)) return 'INR';
+  if (prefix && (CURRENCY_SYMBOLS[prefix] || rates[prefix])) return CURRENCY_SYMBOLS[prefix] || prefix;
+  const code = after.match(/^\s*([A-Z]{3})\b/)?.[1];
+  return code && rates[code] ? code : null;
+}
+
+function parsePeriod(value) {
+  if (/(?:\bper\s+|\/\s*)(?:hour|hr)\b|\bhourly\b/i.test(value)) return 'hour';
+  if (/(?:\bper\s+|\/\s*)day\b|\bdaily\b/i.test(value)) return 'day';
+  if (/(?:\bper\s+|\/\s*)(?:week|wk)\b|\bweekly\b/i.test(value)) return 'week';
+  if (/(?:\bper\s+|\/\s*)(?:month|mo)\b|\bmonthly\b|\bpm\b/i.test(value)) return 'month';
+  return 'year';
+}
+
+/**
+ * Free-text salary ("$80k - $100k", "€45,000 per year", "6-12 LPA", "£25/hour",
+ * "Up to $150k", "Rs. 8,00,000 - 12,00,000 per annum", "5 - 7 Lacs P.A."). Only numbers next to a currency, with a unit suffix or in a
+ * range count as amounts, so "4 days in office" or "401k match" next to the
+ * salary are skipped. Returns the raw shape for normalizeSalary, or null when
+ * nothing looks like a salary.
+ */
+export function parseSalaryText(text, { currency: defaultCurrency = null } = {}) {
+  const value = String(text || '').trim();
+  if (!value || /^n\/?a$/i.test(value)) return null;
+
+  const { rates } = getCurrencyRates();
+  const numbers = [...value.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k|m|lpa|lakhs?|lacs?|l|cr|crore)?\b/gi)].map(match => {
+    const before = value.slice(0, match.index);
+    const after = value.slice(match.index + match[0].length);
+    return {
+      amount: parseAmount(match[1], match[2]),
+      suffix: match[2],
+      before,
+      currency: adjacentCurrency(before, after, rates),
+      rangeToNext: /^\s*(?:-|–|—|to)\s*(?:[₹$€£¥]|[A-Z]{3}|Rs\.?)?\s*\d/i.test(after)
+    };
+  });
+
+  // "80 - 100k" pairs up; any other number stands alone
+  const groups = [];
+  for (let i = 0; i < numbers.length; i++) {
+    const range = numbers[i].rangeToNext && i + 1 < numbers.length;
+    groups.push(range ? [numbers[i], numbers[++i]] : [numbers[i]]);
+  }
+
+  // A currency or unit settles it; a bare range is the fallback when its
+  // figures are salary-sized ("80000-100000", not "2-3 days in office")
+  const group = groups.find(members => members.some(number => number.currency || number.suffix)) ||
+    groups.find(members => members.length === 2 && members.every(number => number.amount >= 1000));
+  if (!group || group.some(number => number.amount == null || number.amount <= 0)) return null;
+
+  // "6-12 LPA" / "80-100k": a trailing unit applies to the whole range
+  const [first, last] = group;
+  if (last && !first.suffix && last.suffix) {
+    first.amount = parseAmount(String(first.amount), last.suffix);
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(sign => value.includes(sign));
+  const code = [...value.matchAll(/\b([A-Z]{3})\b/g)].map(match => match[1]).find(word => rates[word]);
+  const isInrUnit = RUPEES.test(value) || /lpa|lakh|\blacs?\b|\bcr\b|crore/i.test(value);
+  const currency = group.map(number => number.currency).find(Boolean) ||
+    code ||
+    (symbol && CURRENCY_SYMBOLS[symbol]) ||
+    (isInrUnit ? 'INR' : defaultCurrency);
+
+  // "Up to $150k" is a ceiling
+  const upTo = !last && /\b(?:up\s*to|upto|max(?:imum)?)\s*:?\s*(?:[₹$€£¥]|[A-Z]{3})?\s*$/i.test(first.before);
+
+  return {
+    min: upTo ? null : first.amount,
+    max: last ? last.amount : upTo ? first.amount : null,
+    currency,
+    period: parsePeriod(value)
+  };
+}
+
+function formatNumber(amount) {
+  return amount.toLocaleString('en-US', { maximumFractionDigits: 0 });
+}
+
+function formatRange(min, max, format) {
+  if (min != null && max != null) return min === max ? format(min) : `${format(min)}-${format(max)}`;
+  return min != null ? `${format(min)}+` : `up to ${format(max)}`;
+}
+
+// "INR 6-12 LPA", "USD 80,000-100,000 / year (≈ INR 67.2-84 LPA)", "GBP 35,000+ / year (predicted)"
+export function formatSalary(salary) {
+  if (!salary) return '';
+
+  let text;
+  if (salary.currency === 'INR' && salary.lpa) {
+    text = `INR ${formatRange(salary.lpa.min, salary.lpa.max, String)} LPA`;
+  } else {
+    text = `${salary.currency ? `${salary.currency} ` : ''}${formatRange(salary.min, salary.max, formatNumber)} / ${salary.period}`;
+    if (salary.lpa) {
+      text += ` (≈ INR ${formatRange(salary.lpa.min, salary.lpa.max, String)} LPA)`;
+    } else if (salary.converted && salary.converted.currency !== salary.currency) {
+      text += ` (≈ ${salary.converted.currency} ${formatRange(salary.converted.min, salary.converted.max, formatNumber)} / year)`;
+    }
+  }
+
+  return salary.isPredicted ? `${text} (predicted)` : text;
+}
+
+/**
+ * Profile minimum salary as a yearly amount in the base currency.
+ * Accepts a number (already yearly, base currency), text ("8 LPA", "$100k")
+ * or { amount, currency, period }.
+ */
+export function parseMinSalary(value) {
+  if (value == null || value === '') return null;
+
+  const { base } = getCurrencyRates();
+  // A bare number as text ("800000") is taken like a number
+  const plain = typeof value === 'string' && /^\s*\d[\d,]*(?:\.\d+)?\s*$/.test(value);
+  const raw = typeof value === 'number' || plain
+    ? { min: Number(String(value).replace(/,/g, '')), currency: base }
+    : typeof value === 'string'
+      ? parseSalaryText(value, { currency: base })
+      : { min: value.amount, currency: value.currency || base, period: value.period };
+
+  const salary = normalizeSalary(raw);
+  if (!salary?.converted?.min) {
+    throw new Error(`Invalid minSalary ${JSON.stringify(value)}: expected an amount in a currency from ${RATES_PATH}`);
+  }
+  return { amount: salary.converted.min, currency: base };
+}
+
+/**
+ * Whether a job's salary can reach the minimum. Jobs without a salary, with
+ * only Adzuna's estimate (isPredicted), or in a currency missing from the rate
+ * table are kept: there's nothing stated to judge.
+ */
+export function meetsMinSalary(job, minSalary) {
+  if (!minSalary || job.salaryRange?.isPredicted) return true;
+  const converted = job.salaryRange?.converted;
+  const best = converted?.max ?? converted?.min;
+  return best == null || best >= minSalary.amount;
+}
@@ -0,0 +1,79 @@
+/**
+ * Fit score
+ * Each job is scored 0-100 per criterion; the fit score is their weighted
+ * average and the GOOD_FIT / MAYBE_FIT / IGNORE label comes from thresholds.
+ * Criteria the posting says nothing about (null) are left out of the average.
+ */
+
+export const SCORE_CRITERIA = ['stack', 'seniority', 'location', 'salary', 'company'];
+
+export const DEFAULT_SCORE_WEIGHTS = { stack: 40, seniority: 25, location: 20, salary: 10, company: 5 };
+
+// Score ≥ goodFit → GOOD_FIT, ≥ maybeFit → MAYBE_FIT, else IGNORE
+export const DEFAULT_FIT_THRESHOLDS = { goodFit: 70, maybeFit: 40 };
+
+// At or below these a criterion rules the job out, whatever the average says:
+// the prompt defines seniority 0 as "clearly outside" the range and location 0
+// as "wrong location"
+export const HARD_MISMATCH = { seniority: 0, location: 0 };
+
+function toScore(value) {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(Math.min(100, Math.max(0, number))) : null;
+}
+
+// { criterion: 0-100 | null } for every criterion; null when nothing usable was given
+export function normalizeBreakdown(scores) {
+  if (!scores || typeof scores !== 'object') return null;
+  const breakdown = Object.fromEntries(SCORE_CRITERIA.map(criterion => [criterion, toScore(scores[criterion])]));
+  return Object.values(breakdown).some(score => score != null) ? breakdown : null;
+}
+
+export function computeFitScore(breakdown, weights = DEFAULT_SCORE_WEIGHTS) {
+  const known = SCORE_CRITERIA.filter(criterion => breakdown[criterion] != null && weights[criterion] > 0);
+  const totalWeight = known.reduce((total, criterion) => total + weights[criterion], 0);
+  if (totalWeight === 0) return 0;
+  return Math.round(known.reduce((total, criterion) => total + breakdown[criterion] * weights[criterion], 0) / totalWeight);
+}
+
+export function classificationForScore(score, thresholds = DEFAULT_FIT_THRESHOLDS) {
+  if (score >= thresholds.goodFit) return 'GOOD_FIT';
+  if (score >= thresholds.maybeFit) return 'MAYBE_FIT';
+  return 'IGNORE';
+}
+
+// Weighted criteria scored at or below their hard-mismatch limit
+export function hardMismatches(breakdown, weights = DEFAULT_SCORE_WEIGHTS, limits = HARD_MISMATCH) {
+  return Object.keys(limits).filter(criterion =>
+    breakdown?.[criterion] != null && weights[criterion] > 0 && breakdown[criterion] <= limits[criterion]);
+}
+
+// Score and label for a breakdown under the profile's weights and thresholds.
+// A deal-breaker or a hard mismatch caps the score just below the MAYBE_FIT threshold.
+export function scoreJob(breakdown, profile = {}, { dealBreaker = false, mismatchLimits = HARD_MISMATCH } = {}) {
+  const weights = profile.scoreWeights || DEFAULT_SCORE_WEIGHTS;
+  const thresholds = profile.fitThresholds || DEFAULT_FIT_THRESHOLDS;
+
+  let fitScore = computeFitScore(breakdown, weights);
+  if (dealBreaker || hardMismatches(breakdown, weights, mismatchLimits).length > 0) {
+    fitScore = Math.min(fitScore, Math.max(0, thresholds.maybeFit - 1));
+  }
+
+  return {
+    fitScore,
+    classification: classificationForScore(fitScore, thresholds),
+    scoreBreakdown: breakdown
+  };
+}
+
+// Highest score first; unscored jobs last, otherwise the original order is kept
+export function rankByFitScore(jobs, score = job => job.fitScore) {
+  return [...jobs].sort((a, b) => (score(b) ?? -1) - (score(a) ?? -1));
+}
+
+// "stack 90 · seniority 70 · location 100 · salary – · company 60"
+export function formatBreakdown(breakdown) {
+  if (!breakdown) return '';
+  return SCORE_CRITERIA.map(criterion => `${criterion} ${breakdown[criterion] ?? '–'}`).join(' · ');
+}
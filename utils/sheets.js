@@ -4,9 +4,64 @@
  */
 
 import { google } from 'googleapis';
+import { canonicalizeUrl, jobFingerprint } from './dedupe.js';
+import { withRateLimit } from './rateLimit.js';
+import { JOB_STATUSES, normalizeStatus, checkTransition, statusKey } from './status.js';
+import { rankByFitScore } from './score.js';
+import { ATTRIBUTE_COLUMNS } from './attributes.js';
+
+// Sheet layout. Order matters: existing sheets are matched by position,
+// so new columns must only ever be appended at the end.
+const COLUMNS = [
+  { header: 'Date', value: () => new Date().toLocaleDateString('en-IN') },
+  { header: 'Company', value: job => job.company || 'N/A' },
+  { header: 'Role', value: job => job.title || 'N/A' },
+  { header: 'Location', value: job => job.location || 'N/A' },
+  { header: 'Apply Link', value: job => job.applyLink || 'N/A' },
+  { header: 'AI Classification', value: job => job.aiClassification || 'UNPROCESSED' },
+  { header: 'AI Summary', value: job => job.aiSummary || 'Not processed' },
+  { header: 'Status', value: () => 'New' },
+  { header: 'Source', value: job => job.sources?.join(', ') || job.source || 'adzuna' },
+  { header: 'Search Query', value: job => job.searchQuery || '' },
+  { header: 'Posted Date', value: job => job.postedDate || '' },
+  { header: 'Alternate Links', value: job => (job.alternateLinks || []).join('\n') },
+  { header: 'Status Updated', value: () => new Date().toISOString() },
+  { header: 'Status Note', value: () => '' },
+  { header: 'Status History', value: () => '' },
+  { header: 'Fit Score', value: job => job.fitScore ?? '' },
+  // Experience Required, Work Mode, Employment Type, Tech Stack, Notice Period, Visa Sponsorship, Salary Range
+  ...ATTRIBUTE_COLUMNS.map(column => ({ header: column.header, value: job => (job.attributes ? column.value(job.attributes, job) : '') })),
+  // Filled in by hand (GOOD_FIT / MAYBE_FIT / IGNORE) when the AI got it wrong; read back by utils/feedback.js
+  { header: 'Classification Override', value: () => '' },
+  // Link to the cover letter and resume bullets (Google Doc or markdown file, see utils/materials.js)
+  { header: 'Application Materials', value: () => '' }
+];
+
+export function columnIndex(header) {
+  const index = COLUMNS.findIndex(column => column.header === header);
+  if (index === -1) {
+    throw new Error(`Unknown sheet column "${header}"`);
+  }
+  return index;
+}
+
+export function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+const LAST_COLUMN = columnLetter(COLUMNS.length - 1);
+const HEADERS = COLUMNS.map(column => column.header);
+
+export function jobToRow(job) {
+  return COLUMNS.map(column => column.value(job));
+}
 
 // Initialize Google Sheets API
-function getGoogleSheetsClient() {
+export function getGoogleSheetsClient() {
   const serviceAccountJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
   
   if (!serviceAccountJson) {
@@ -27,7 +82,42 @@ function getGoogleSheetsClient() {
   }
 }
 
-export async function initializeSheet() {
+// A1 range on a named tab; no tab name means the first (default) tab
+export function sheetRange(sheetName, range) {
+  if (!sheetName) return range;
+  return `'${sheetName.replace(/'/g, "''")}'!${range}`;
+}
+
+// Look up a tab's numeric sheetId, creating the tab if it doesn't exist yet
+export async function ensureSheetTab(sheets, spreadsheetId, sheetName, { hidden = false } = {}) {
+  const { data } = await withRateLimit('sheets', () => sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  }));
+  
+  const tabs = (data.sheets || []).map(sheet => sheet.properties);
+  
+  if (!sheetName) {
+    return tabs[0]?.sheetId ?? 0;
+  }
+  
+  const existing = tabs.find(tab => tab.title === sheetName);
+  if (existing) {
+    return existing.sheetId;
+  }
+  
+  console.log(`Creating sheet tab "${sheetName}"...`);
+  const response = await withRateLimit('sheets', () => sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [{ addSheet: { properties: { title: sheetName, hidden } } }]
+    }
+  }));
+  
+  return response.data.replies[0].addSheet.properties.sheetId;
+}
+
+export async function initializeSheet(sheetName = null) {
   const sheets = getGoogleSheetsClient();
   const spreadsheetId = process.env.GOOGLE_SHEET_ID;
   
@@ -36,47 +126,42 @@ export async function initializeSheet() {
   }
   
   try {
+    const sheetId = await ensureSheetTab(sheets, spreadsheetId, sheetName);
+    
     // Check if sheet exists and has headers
-    const response = await sheets.spreadsheets.values.get({
+    const response = await withRateLimit('sheets', () => sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: 'A1:H1'
-    });
+      range: sheetRange(sheetName, `A1:${LAST_COLUMN}1`)
+    }));
+    
+    const existingHeaders = response.data.values?.[0] || [];
     
-    const headers = [
-      'Date',
-      'Company', 
-      'Role',
-      'Location',
-      'Apply Link',
-      'AI Classification',
-      'AI Summary',
-      'Status'
-    ];
-    
-    // If no headers exist, add them
-    if (!response.data.values || response.data.values.length === 0) {
-      console.log('Adding headers to sheet...');
+    // Write headers on a fresh tab, or append the missing ones on sheets
+    // created before newer columns existed
+    if (existingHeaders.length < HEADERS.length) {
+      console.log(existingHeaders.length === 0 ? 'Adding headers to sheet...' : 'Adding new column headers to sheet...');
       
-      await sheets.spreadsheets.values.update({
+      await withRateLimit('sheets', () => sheets.spreadsheets.values.update({
         spreadsheetId,
-        range: 'A1:H1',
+        range: sheetRange(sheetName, `A1:${LAST_COLUMN}1`),
         valueInputOption: 'RAW',
         resource: {
-          values: [headers]
+          values: [HEADERS]
         }
-      });
+      }));
       
       // Format headers
-      await sheets.spreadsheets.batchUpdate({
+      await withRateLimit('sheets', () => sheets.spreadsheets.batchUpdate({
         spreadsheetId,
         resource: {
           requests: [{
             repeatCell: {
               range: {
+                sheetId,
                 startRowIndex: 0,
                 endRowIndex: 1,
                 startColumnIndex: 0,
-                endColumnIndex: 8
+                endColumnIndex: HEADERS.length
               },
               cell: {
                 userEnteredFormat: {
@@ -91,10 +176,15 @@ export async function initializeSheet() {
             }
           }]
         }
-      });
+      }));
     }
     
-    return { success: true, message: 'Sheet initialized successfully' };
+    // Colour-code classifications on a fresh tab
+    if (existingHeaders.length === 0) {
+      await applyConditionalFormatting(spreadsheetId, sheets, sheetId);
+    }
+    
+    return { success: true, sheetId, message: 'Sheet initialized successfully' };
     
   } catch (error) {
     console.error('Error initializing sheet:', error);
@@ -102,7 +192,52 @@ export async function initializeSheet() {
   }
 }
 
-export async function insertJobs(jobs) {
+// Canonical apply links (primary + alternates) already in a tab, used to stop paging early
+export async function getExistingLinks(sheetName = null) {
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  try {
+    const rows = await readJobRows(sheets, spreadsheetId, sheetName);
+    return new Set(rows.flatMap(row => row.links));
+  } catch (error) {
+    // A tab that doesn't exist yet simply has no links
+    console.log(`Warning: Could not read existing links: ${error.message}`);
+    return new Set();
+  }
+}
+
+// Existing job rows with what we need to spot duplicates
+async function readJobRows(sheets, spreadsheetId, sheetName) {
+  const response = await withRateLimit('sheets', () => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: sheetRange(sheetName, `A:${LAST_COLUMN}`)
+  }));
+  
+  const linkColumn = columnIndex('Apply Link');
+  const alternateColumn = columnIndex('Alternate Links');
+  const sourceColumn = columnIndex('Source');
+  
+  return (response.data.values || [])
+    .map((row, index) => ({
+      rowNumber: index + 1,
+      primaryLink: row[linkColumn] || '',
+      alternateLinks: (row[alternateColumn] || '').split('\n').filter(Boolean),
+      sources: (row[sourceColumn] || '').split(',').map(source => source.trim()).filter(Boolean),
+      fingerprint: jobFingerprint({
+        company: row[columnIndex('Company')],
+        title: row[columnIndex('Role')],
+        location: row[columnIndex('Location')]
+      })
+    }))
+    .slice(1) // Skip header
+    .map(row => ({
+      ...row,
+      links: [row.primaryLink, ...row.alternateLinks].map(canonicalizeUrl).filter(Boolean)
+    }));
+}
+
+export async function insertJobs(jobs, { sheetName = null } = {}) {
   if (!jobs || jobs.length === 0) {
     return { success: true, inserted: 0, message: 'No jobs to insert' };
   }
@@ -111,65 +246,105 @@ export async function insertJobs(jobs) {
   const spreadsheetId = process.env.GOOGLE_SHEET_ID;
   
   try {
-    // Initialize sheet if needed
-    await initializeSheet();
+    // Initialize sheet (and its tab) if needed
+    const init = await initializeSheet(sheetName);
+    if (!init.success) {
+      throw new Error(`Could not initialize sheet: ${init.error}`);
+    }
     
-    // Get existing data to avoid duplicates
-    const existingData = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'E:E' // Apply Link column
-    });
+    // Get existing rows to avoid duplicates (per tab)
+    const existingRows = await readJobRows(sheets, spreadsheetId, sheetName);
+    const byLink = new Map();
+    const byFingerprint = new Map();
+    const remember = row => {
+      row.links.forEach(link => byLink.set(link, row));
+      if (row.fingerprint) byFingerprint.set(row.fingerprint, row);
+    };
+    existingRows.forEach(remember);
     
-    const existingLinks = new Set(
-      (existingData.data.values || [])
-        .flat()
-        .filter(link => link && link !== 'Apply Link')
-    );
+    // Jobs matching an existing row (same canonical link or same company/role/location)
+    // are merged into that row instead of being added again
+    const newJobs = [];
+    const mergedRows = new Map();
+    
+    for (const job of jobs) {
+      const link = canonicalizeUrl(job.applyLink);
+      const fingerprint = jobFingerprint(job);
+      const match = byLink.get(link) || (fingerprint && byFingerprint.get(fingerprint));
+      
+      if (!match) {
+        newJobs.push(job);
+        // Pending rows also count, so one batch can't insert the same job twice
+        remember({ links: [link, ...(job.alternateLinks || []).map(canonicalizeUrl)].filter(Boolean), fingerprint, pending: true });
+        continue;
+      }
+      if (match.pending) continue;
+      
+      const knownLinks = new Set(match.links);
+      [job.applyLink, ...(job.alternateLinks || [])]
+        .filter(candidate => candidate && candidate !== 'N/A' && !knownLinks.has(canonicalizeUrl(candidate)))
+        .forEach(candidate => {
+          match.alternateLinks.push(candidate);
+          match.links.push(canonicalizeUrl(candidate));
+          mergedRows.set(match.rowNumber, match);
+        });
+      
+      [...(job.sources || [job.source])]
+        .filter(source => source && !match.sources.includes(source))
+        .forEach(source => {
+          match.sources.push(source);
+          mergedRows.set(match.rowNumber, match);
+        });
+    }
     
-    // Filter out duplicate jobs
-    const newJobs = jobs.filter(job => !existingLinks.has(job.applyLink));
+    if (mergedRows.size > 0) {
+      const sourceLetter = columnLetter(columnIndex('Source'));
+      const alternateLetter = columnLetter(columnIndex('Alternate Links'));
+      
+      await withRateLimit('sheets', () => sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: {
+          valueInputOption: 'RAW',
+          data: [...mergedRows.values()].flatMap(row => [
+            { range: sheetRange(sheetName, `${sourceLetter}${row.rowNumber}`), values: [[row.sources.join(', ')]] },
+            { range: sheetRange(sheetName, `${alternateLetter}${row.rowNumber}`), values: [[row.alternateLinks.join('\n')]] }
+          ])
+        }
+      }));
+      console.log(`Merged ${mergedRows.size} duplicate jobs into existing rows`);
+    }
     
     if (newJobs.length === 0) {
       return { 
         success: true, 
         inserted: 0, 
         duplicates: jobs.length,
+        merged: mergedRows.size,
         message: 'All jobs already exist in sheet' 
       };
     }
     
-    // Prepare rows for insertion
-    const rows = newJobs.map(job => [
-      new Date().toLocaleDateString('en-IN'), // Date
-      job.company || 'N/A',                   // Company
-      job.title || 'N/A',                     // Role
-      job.location || 'N/A',                  // Location  
-      job.applyLink || 'N/A',                 // Apply Link
-      job.aiClassification || 'UNPROCESSED',  // AI Classification
-      job.aiSummary || 'Not processed',       // AI Summary
-      'New'                                    // Status
-    ]);
+    // Prepare rows for insertion, best fit first
+    const rows = rankByFitScore(newJobs).map(jobToRow);
     
     // Insert rows
-    const response = await sheets.spreadsheets.values.append({
+    const response = await withRateLimit('sheets', () => sheets.spreadsheets.values.append({
       spreadsheetId,
-      range: 'A:H',
+      range: sheetRange(sheetName, `A:${LAST_COLUMN}`),
       valueInputOption: 'RAW',
       insertDataOption: 'INSERT_ROWS',
       resource: {
         values: rows
       }
-    });
-    
-    console.log(`Inserted ${rows.length} new jobs into sheet`);
+    }), { idempotent: false });
     
-    // Apply conditional formatting for classifications
-    await applyConditionalFormatting(spreadsheetId, sheets);
+    console.log(`Inserted ${rows.length} new jobs into ${sheetName ? `tab "${sheetName}"` : 'sheet'}`);
     
     return {
       success: true,
       inserted: rows.length,
       duplicates: jobs.length - newJobs.length,
+      merged: mergedRows.size,
       range: response.data.updates.updatedRange,
       message: `Successfully inserted ${rows.length} jobs`
     };
@@ -184,9 +359,54 @@ export async function insertJobs(jobs) {
   }
 }
 
-async function applyConditionalFormatting(spreadsheetId, sheets) {
+// Update named columns on existing rows, matched by apply link.
+// updates: [{ applyLink, values: { 'AI Classification': 'GOOD_FIT', ... } }]
+export async function updateJobRows(updates, { sheetName = null } = {}) {
+  if (!updates || updates.length === 0) {
+    return { success: true, updated: 0, missing: 0 };
+  }
+  
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  try {
+    const existingRows = await readJobRows(sheets, spreadsheetId, sheetName);
+    const data = [];
+    let missing = 0;
+    
+    for (const update of updates) {
+      const link = canonicalizeUrl(update.applyLink);
+      const row = existingRows.find(existing => existing.links.includes(link));
+      if (!row) {
+        missing++;
+        continue;
+      }
+      
+      for (const [header, value] of Object.entries(update.values)) {
+        data.push({
+          range: sheetRange(sheetName, `${columnLetter(columnIndex(header))}${row.rowNumber}`),
+          values: [[value]]
+        });
+      }
+    }
+    
+    if (data.length > 0) {
+      await withRateLimit('sheets', () => sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption: 'RAW', data }
+      }));
+    }
+    
+    return { success: true, updated: updates.length - missing, missing };
+  } catch (error) {
+    console.error('Error updating job rows:', error);
+    return { success: false, error: error.message, updated: 0 };
+  }
+}
+
+async function applyConditionalFormatting(spreadsheetId, sheets, sheetId) {
   try {
-    await sheets.spreadsheets.batchUpdate({
+    await withRateLimit('sheets', () => sheets.spreadsheets.batchUpdate({
       spreadsheetId,
       resource: {
         requests: [
@@ -194,7 +414,7 @@ async function applyConditionalFormatting(spreadsheetId, sheets) {
           {
             addConditionalFormatRule: {
               rule: {
-                ranges: [{ startColumnIndex: 5, endColumnIndex: 6 }], // Column F (AI Classification)
+                ranges: [{ sheetId, startColumnIndex: 5, endColumnIndex: 6 }], // Column F (AI Classification)
                 booleanRule: {
                   condition: {
                     type: 'TEXT_EQ',
@@ -213,7 +433,7 @@ async function applyConditionalFormatting(spreadsheetId, sheets) {
           {
             addConditionalFormatRule: {
               rule: {
-                ranges: [{ startColumnIndex: 5, endColumnIndex: 6 }],
+                ranges: [{ sheetId, startColumnIndex: 5, endColumnIndex: 6 }],
                 booleanRule: {
                   condition: {
                     type: 'TEXT_EQ', 
@@ -232,7 +452,7 @@ async function applyConditionalFormatting(spreadsheetId, sheets) {
           {
             addConditionalFormatRule: {
               rule: {
-                ranges: [{ startColumnIndex: 5, endColumnIndex: 6 }],
+                ranges: [{ sheetId, startColumnIndex: 5, endColumnIndex: 6 }],
                 booleanRule: {
                   condition: {
                     type: 'TEXT_EQ',
@@ -249,58 +469,185 @@ async function applyConditionalFormatting(spreadsheetId, sheets) {
           }
         ]
       }
-    });
+    }));
   } catch (error) {
     console.log('Warning: Could not apply conditional formatting:', error.message);
   }
 }
 
-export async function updateJobStatus(applyLink, newStatus) {
+// Every data row of a tab as { rowNumber, values: { header: cell } }
+export async function readSheetRows(sheetName = null) {
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  const response = await withRateLimit('sheets', () => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: sheetRange(sheetName, `A:${LAST_COLUMN}`)
+  }));
+  
+  return (response.data.values || [])
+    .map((row, index) => ({
+      rowNumber: index + 1,
+      values: Object.fromEntries(HEADERS.map((header, column) => [header, row[column] ?? '']))
+    }))
+    .slice(1); // Skip header
+}
+
+// Canonical apply links (primary + alternates) of a row from readSheetRows
+export function rowLinks(row) {
+  return [row.values['Apply Link'], ...row.values['Alternate Links'].split('\n')]
+    .map(canonicalizeUrl)
+    .filter(Boolean);
+}
+
+// filter: { status, classification, company, search, updatedBefore }
+function matchesStatusFilter(row, { status, classification, company, search, updatedBefore } = {}) {
+  const { values } = row;
+  const contains = (text, part) => text.toLowerCase().includes(String(part).toLowerCase());
+  
+  return (!status || normalizeStatus(values.Status || 'New') === normalizeStatus(status)) &&
+    (!classification || values['AI Classification'] === classification) &&
+    (!company || contains(values.Company, company)) &&
+    (!search || contains(`${values.Role} ${values.Company}`, search)) &&
+    // Rows from before the column existed have no timestamp and count as old
+    (!updatedBefore || !values['Status Updated'] || values['Status Updated'] < updatedBefore);
+}
+
+/**
+ * Move jobs to a new lifecycle status (see utils/status.js), either by apply
+ * link or by filter. Each change stamps Status Updated, sets Status Note and
+ * appends a line to Status History. Disallowed moves are reported, not applied.
+ */
+export async function updateJobStatuses(newStatus, {
+  sheetName = null,
+  applyLinks = null,
+  filter = null,
+  note = '',
+  force = false
+} = {}) {
+  const target = normalizeStatus(newStatus);
+  if (!JOB_STATUSES.includes(target)) {
+    return { success: false, error: `Unknown status "${newStatus}" (use ${JOB_STATUSES.join(', ')})` };
+  }
+  if (!applyLinks?.length && !(filter && Object.keys(filter).length > 0)) {
+    return { success: false, error: 'Pass applyLinks or a filter to choose the jobs to update' };
+  }
+  
   const sheets = getGoogleSheetsClient();
   const spreadsheetId = process.env.GOOGLE_SHEET_ID;
   
   try {
-    // Find the row with the matching apply link
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'A:H'
-    });
+    // Sheets created before the status columns existed get their headers first
+    const init = await initializeSheet(sheetName);
+    if (!init.success) {
+      throw new Error(`Could not initialize sheet: ${init.error}`);
+    }
     
-    const rows = response.data.values || [];
+    const rows = await readSheetRows(sheetName);
+    let selected = rows;
+    let missing = [];
     
-    for (let i = 1; i < rows.length; i++) { // Skip header row
-      if (rows[i][4] === applyLink) { // Apply Link is column E (index 4)
-        // Update the status in column H (index 7)
-        await sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: `H${i + 1}`,
-          valueInputOption: 'RAW',
-          resource: {
-            values: [[newStatus]]
-          }
+    if (applyLinks?.length) {
+      const wanted = applyLinks.map(link => ({ link, canonical: canonicalizeUrl(link) }));
+      selected = rows.filter(row => rowLinks(row).some(link => wanted.some(w => w.canonical === link)));
+      missing = wanted
+        .filter(w => !rows.some(row => rowLinks(row).includes(w.canonical)))
+        .map(w => w.link);
+    }
+    if (filter) {
+      selected = selected.filter(row => matchesStatusFilter(row, filter));
+    }
+    
+    const now = new Date().toISOString();
+    const data = [];
+    const changed = [];
+    const skipped = [];
+    
+    for (const row of selected) {
+      const from = normalizeStatus(row.values.Status) || 'New';
+      const reason = checkTransition(from, target, { force });
+      if (reason) {
+        skipped.push({ applyLink: row.values['Apply Link'], from, reason });
+        continue;
+      }
+      
+      const historyLine = `${now} ${from} → ${target}${note ? `: ${note}` : ''}`;
+      const history = [row.values['Status History'], historyLine].filter(Boolean).join('\n');
+      const cells = { 'Status': target, 'Status Updated': now, 'Status Note': note, 'Status History': history };
+      
+      for (const [header, value] of Object.entries(cells)) {
+        data.push({
+          range: sheetRange(sheetName, `${columnLetter(columnIndex(header))}${row.rowNumber}`),
+          values: [[value]]
         });
-        
-        return { success: true, message: `Updated status to ${newStatus}` };
       }
+      changed.push({ applyLink: row.values['Apply Link'], company: row.values.Company, role: row.values.Role, from, to: target });
     }
     
-    return { success: false, message: 'Job not found' };
+    if (data.length > 0) {
+      await withRateLimit('sheets', () => sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption: 'RAW', data }
+      }));
+    }
     
+    console.log(`Moved ${changed.length} jobs to ${target} (${skipped.length} skipped, ${missing.length} not found)`);
+    
+    return {
+      success: true,
+      status: target,
+      matched: selected.length,
+      updated: changed.length,
+      changed,
+      skipped,
+      missing
+    };
   } catch (error) {
-    console.error('Error updating job status:', error);
-    return { success: false, error: error.message };
+    console.error('Error updating job statuses:', error);
+    return { success: false, error: error.message, updated: 0 };
+  }
+}
+
+export async function updateJobStatus(applyLink, newStatus, sheetName = null, { note = '', force = false } = {}) {
+  const result = await updateJobStatuses(newStatus, { sheetName, applyLinks: [applyLink], note, force });
+  
+  if (!result.success) {
+    return result;
+  }
+  if (result.missing.length > 0) {
+    return { success: false, message: 'Job not found' };
+  }
+  if (result.skipped.length > 0) {
+    return { success: false, message: result.skipped[0].reason };
+  }
+  return { success: true, message: `Updated status to ${result.status}` };
+}
+
+// { new, shortlisted, applied, interviewing, offer, rejected, withdrawn, notInterested, otherStatus }
+function countStatuses(statuses) {
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [statusKey(status), 0]));
+  counts.otherStatus = 0;
+  
+  for (const status of statuses) {
+    const normalized = normalizeStatus(status || 'New');
+    if (JOB_STATUSES.includes(normalized)) {
+      counts[statusKey(normalized)]++;
+    } else {
+      counts.otherStatus++;
+    }
   }
+  return counts;
 }
 
-export async function getSheetStats() {
+export async function getSheetStats(sheetName = null) {
   const sheets = getGoogleSheetsClient();
   const spreadsheetId = process.env.GOOGLE_SHEET_ID;
   
   try {
-    const response = await sheets.spreadsheets.values.get({
+    const response = await withRateLimit('sheets', () => sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: 'F:H' // Classification, Summary, Status columns
-    });
+      range: sheetRange(sheetName, 'F:H') // Classification, Summary, Status columns
+    }));
     
     const rows = response.data.values || [];
     
@@ -312,8 +659,7 @@ export async function getSheetStats() {
           goodFit: 0,
           maybeFit: 0,
           ignore: 0,
-          applied: 0,
-          new: 0
+          ...countStatuses([])
         }
       };
     }
@@ -325,8 +671,7 @@ export async function getSheetStats() {
       goodFit: dataRows.filter(row => row[0] === 'GOOD_FIT').length,
       maybeFit: dataRows.filter(row => row[0] === 'MAYBE_FIT').length,
       ignore: dataRows.filter(row => row[0] === 'IGNORE').length,
-      applied: dataRows.filter(row => row[2] === 'Applied').length,
-      new: dataRows.filter(row => row[2] === 'New').length
+      ...countStatuses(dataRows.map(row => row[2]))
     };
     
     return { success: true, stats };
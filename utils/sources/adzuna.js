@@ -0,0 +1,17 @@
+/**
+ * Adzuna source adapter
+ * Thin wrapper around utils/adzuna.js so Adzuna plugs into the source registry
+ */
+
+import { fetchQueryPages, pickAdzunaFilters } from '../adzuna.js';
+
+export default {
+  name: 'adzuna',
+  searchable: true,
+
+  // Run-level and per-query filter keys (where, max_days_old, ...) arrive mixed into options
+  async fetchJobs(query, { location = 'in', pages, resultsPerPage, knownLinks, fetch, ...options } = {}) {
+    const filters = pickAdzunaFilters(options);
+    return fetchQueryPages(query, location, { pages, resultsPerPage, filters, knownLinks, fetch });
+  }
+};
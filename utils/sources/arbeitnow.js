@@ -0,0 +1,46 @@
+/**
+ * Arbeitnow source adapter
+ * Public job board API (no search, so results are filtered by query locally)
+ */
+
+import { fetchJson, htmlToText, toIsoDate } from './common.js';
+
+const ARBEITNOW_API_URL = 'https://www.arbeitnow.com/api/job-board-api';
+
+export function mapArbeitnowJob(job) {
+  const location = job.location?.trim() || 'N/A';
+
+  return {
+    id: job.slug,
+    title: job.title?.trim() || 'N/A',
+    company: job.company_name?.trim() || 'N/A',
+    location: job.remote ? `${location} (Remote)` : location,
+    description: htmlToText(job.description) || 'N/A',
+    applyLink: job.url || 'N/A',
+    salary: 'N/A',
+    // created_at is a unix timestamp in seconds
+    postedDate: toIsoDate(job.created_at ? job.created_at * 1000 : null),
+    source: 'arbeitnow'
+  };
+}
+
+export function parseArbeitnowResponse(data) {
+  return (data.data || []).map(mapArbeitnowJob);
+}
+
+export default {
+  name: 'arbeitnow',
+  searchable: false,
+
+  async fetchJobs(query, { pages = 1, fetch } = {}) {
+    const jobs = [];
+
+    for (let page = 1; page <= pages; page++) {
+      const data = await fetchJson(`${ARBEITNOW_API_URL}?page=${page}`, { fetch });
+      jobs.push(...parseArbeitnowResponse(data));
+      if (!data.links?.next) break;
+    }
+
+    return { success: true, jobs, total: jobs.length };
+  }
+};
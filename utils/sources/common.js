@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for job source adapters
+ * Every adapter takes an optional `fetch` in its options so it can be
+ * exercised against the sample responses in test/fixtures/sources without
+ * network access
+ */
+
+import { rateLimitedFetch } from '../rateLimit.js';
+
+const USER_AGENT = 'JobScoutAgent/1.0';
+
+// Words that appear in almost every query and say nothing about the job
+const GENERIC_QUERY_WORDS = new Set([
+  'developer', 'engineer', 'dev', 'job', 'jobs', 'remote', 'junior', 'senior',
+  'and', 'or', 'the', 'a', 'in', 'for', 'with', 'full', 'stack'
+]);
+
+async function request(url, { fetch: fetchImpl = fetch, accept = 'application/json' } = {}) {
+  const response = await rateLimitedFetch('sources', url, {
+    method: 'GET',
+    headers: {
+      'Accept': accept,
+      'User-Agent': USER_AGENT
+    }
+  }, { fetch: fetchImpl });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+export async function fetchJson(url, options = {}) {
+  const response = await request(url, options);
+  return response.json();
+}
+
+export async function fetchText(url, options = {}) {
+  const response = await request(url, { ...options, accept: 'application/rss+xml, application/xml, text/xml' });
+  return response.text();
+}
+
+export function decodeEntities(text = '') {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+// Job boards hand us HTML (sometimes entity-escaped HTML); the classifier wants plain text
+export function htmlToText(html = '') {
+  return decodeEntities(decodeEntities(html)
+    .replace(/<(br|\/p|\/li|\/h\d)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+export function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return new Date().toISOString();
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// For sources without server-side search: does this job plausibly match the query?
+export function matchesQuery(job, query) {
+  const haystack = `${job.title} ${job.description}`.toLowerCase();
+  const terms = query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(term => term && !GENERIC_QUERY_WORDS.has(term));
+
+  if (terms.length === 0) {
+    return job.title.toLowerCase().includes(query.toLowerCase().trim());
+  }
+  return terms.every(term => haystack.includes(term));
+}
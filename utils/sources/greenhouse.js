@@ -0,0 +1,44 @@
+/**
+ * Greenhouse source adapter
+ * Public job board JSON: https://boards-api.greenhouse.io/v1/boards/{board}/jobs
+ */
+
+import { fetchJson, htmlToText, toIsoDate } from './common.js';
+
+const GREENHOUSE_API_URL = 'https://boards-api.greenhouse.io/v1/boards';
+
+export function mapGreenhouseJob(job, board) {
+  return {
+    id: String(job.id),
+    title: job.title?.trim() || 'N/A',
+    company: job.company_name?.trim() || board,
+    location: job.location?.name?.trim() || 'N/A',
+    description: htmlToText(job.content) || 'N/A',
+    applyLink: job.absolute_url || 'N/A',
+    salary: 'N/A',
+    postedDate: toIsoDate(job.first_published || job.updated_at),
+    source: 'greenhouse'
+  };
+}
+
+export function parseGreenhouseResponse(data, board) {
+  return (data.jobs || []).map(job => mapGreenhouseJob(job, board));
+}
+
+export async function fetchGreenhouseBoard(board, { fetch } = {}) {
+  const data = await fetchJson(`${GREENHOUSE_API_URL}/${encodeURIComponent(board)}/jobs?content=true`, { fetch });
+  return parseGreenhouseResponse(data, board);
+}
+
+export default {
+  name: 'greenhouse',
+  searchable: false,
+
+  async fetchJobs(query, { boards = [], fetch } = {}) {
+    const jobs = [];
+    for (const board of boards) {
+      jobs.push(...await fetchGreenhouseBoard(board, { fetch }));
+    }
+    return { success: true, jobs, total: jobs.length };
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * Job source registry
+ * Pulls jobs from several boards in one run and tags each with its source
+ *
+ * A source spec is either an adapter name ("remotive") or an object with the
+ * adapter name plus its options, e.g. { "name": "greenhouse", "boards": ["vercel"] }
+ *
+ * A query is either a string or an object carrying its own paging settings and
+ * search filters, e.g. { "what": "node.js developer", "pages": 3, "max_days_old": 7 }
+ */
+
+import adzuna from './adzuna.js';
+import remotive from './remotive.js';
+import arbeitnow from './arbeitnow.js';
+import greenhouse from './greenhouse.js';
+import lever from './lever.js';
+import rss from './rss.js';
+import { matchesQuery } from './common.js';
+import { dedupeJobs } from '../dedupe.js';
+
+const ADAPTERS = { adzuna, remotive, arbeitnow, greenhouse, lever, rss };
+
+export const DEFAULT_SOURCES = ['adzuna'];
+
+export function listSources() {
+  return Object.keys(ADAPTERS);
+}
+
+export function getSourceAdapter(name) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown job source "${name}". Available: ${listSources().join(', ')}`);
+  }
+  return adapter;
+}
+
+export function normalizeSourceSpec(spec) {
+  if (typeof spec !== 'string' && (!spec || typeof spec !== 'object')) {
+    throw new Error(`Invalid source ${JSON.stringify(spec)}: expected a name or { "name": "..." }`);
+  }
+  const { name, ...options } = typeof spec === 'string' ? { name: spec.trim() } : spec;
+  getSourceAdapter(name); // fail fast on typos
+  return { name, options };
+}
+
+export function normalizeQuery(query) {
+  const { what, ...settings } = typeof query === 'string' ? { what: query } : query || {};
+  if (!what || typeof what !== 'string') {
+    throw new Error(`Invalid query ${JSON.stringify(query)}: expected a string or { "what": "..." }`);
+  }
+  return { what: what.trim(), ...settings };
+}
+
+export async function fetchFromSources(queries, {
+  sources = DEFAULT_SOURCES,
+  location = 'in',
+  pages,
+  resultsPerPage,
+  filters = {},
+  knownLinks,
+  fetch
+} = {}) {
+  const allJobs = [];
+  const sourceStats = {};
+  const queryStats = [];
+  const normalizedQueries = queries.map(normalizeQuery);
+  const queryTerms = normalizedQueries.map(query => query.what);
+  
+  for (const spec of sources) {
+    const { name, options } = normalizeSourceSpec(spec);
+    const adapter = getSourceAdapter(name);
+    const sourceOptions = { location, pages, resultsPerPage, ...filters, ...options, knownLinks, fetch };
+    const stats = sourceStats[name] = { fetched: 0 };
+    
+    try {
+      if (adapter.searchable) {
+        for (const { what, ...querySettings } of normalizedQueries) {
+          const result = await adapter.fetchJobs(what, { ...sourceOptions, ...querySettings });
+          
+          queryStats.push({
+            source: name,
+            ...(result.stats || { query: what, pages: 1, fetched: result.jobs.length, total: result.total ?? result.jobs.length }),
+            error: result.success ? undefined : result.error
+          });
+          
+          if (!result.success) {
+            stats.error = result.error;
+            continue;
+          }
+          stats.fetched += result.jobs.length;
+          allJobs.push(...result.jobs.map(job => ({ ...job, source: name, searchQuery: what })));
+        }
+      } else {
+        // No server-side search: fetch everything once and keep what matches a query
+        const result = await adapter.fetchJobs(null, sourceOptions);
+        const matchesPerQuery = Object.fromEntries(queryTerms.map(query => [query, 0]));
+        for (const job of result.jobs) {
+          const query = queryTerms.find(q => matchesQuery(job, q));
+          if (query) {
+            stats.fetched++;
+            matchesPerQuery[query]++;
+            allJobs.push({ ...job, source: name, searchQuery: query });
+          }
+        }
+        queryTerms.forEach(query => queryStats.push({
+          source: name,
+          query,
+          pages: 1,
+          fetched: matchesPerQuery[query],
+          total: matchesPerQuery[query]
+        }));
+      }
+      console.log(`✅ ${name}: ${stats.fetched} jobs`);
+    } catch (error) {
+      console.error(`❌ Failed to fetch jobs from ${name}:`, error);
+      stats.error = error.message;
+    }
+  }
+  
+  // Remove duplicates (same canonical link, same company/role/location, or same posting text)
+  const { jobs: uniqueJobs, merged } = dedupeJobs(allJobs);
+  if (merged > 0) {
+    console.log(`🔁 Merged ${merged} duplicate postings`);
+  }
+  
+  return {
+    success: true,
+    jobs: uniqueJobs,
+    total: uniqueJobs.length,
+    duplicatesMerged: merged,
+    sources: sourceStats,
+    queries: queryStats
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Lever source adapter
+ * Public postings JSON: https://api.lever.co/v0/postings/{company}?mode=json
+ */
+
+import { fetchJson, htmlToText, toIsoDate } from './common.js';
+import { normalizeSalary, formatSalary } from '../salary.js';
+
+const LEVER_API_URL = 'https://api.lever.co/v0/postings';
+
+// salaryRange.interval → salary period
+const LEVER_INTERVALS = {
+  'per-year-salary': 'year',
+  'per-month-salary': 'month',
+  'per-week-salary': 'week',
+  'per-day-wage': 'day',
+  'per-hour-wage': 'hour'
+};
+
+export function mapLeverJob(posting, board) {
+  const lists = (posting.lists || [])
+    .map(list => `${list.text}\n${htmlToText(list.content)}`)
+    .join('\n');
+
+  const description = [posting.descriptionPlain, lists, posting.additionalPlain]
+    .filter(Boolean)
+    .join('\n')
+    .trim();
+
+  const salaryRange = posting.salaryRange && normalizeSalary({
+    min: posting.salaryRange.min,
+    max: posting.salaryRange.max,
+    currency: posting.salaryRange.currency,
+    period: LEVER_INTERVALS[posting.salaryRange.interval]
+  });
+
+  return {
+    id: posting.id,
+    title: posting.text?.trim() || 'N/A',
+    company: board,
+    location: posting.categories?.location?.trim() || posting.workplaceType || 'N/A',
+    description: description || 'N/A',
+    applyLink: posting.hostedUrl || posting.applyUrl || 'N/A',
+    salary: salaryRange ? formatSalary(salaryRange) : 'N/A',
+    salaryRange: salaryRange || null,
+    // createdAt is epoch milliseconds
+    postedDate: toIsoDate(posting.createdAt),
+    source: 'lever'
+  };
+}
+
+export function parseLeverResponse(data, board) {
+  return (Array.isArray(data) ? data : []).map(posting => mapLeverJob(posting, board));
+}
+
+export async function fetchLeverBoard(board, { fetch } = {}) {
+  const data = await fetchJson(`${LEVER_API_URL}/${encodeURIComponent(board)}?mode=json`, { fetch });
+  return parseLeverResponse(data, board);
+}
+
+export default {
+  name: 'lever',
+  searchable: false,
+
+  async fetchJobs(query, { boards = [], fetch } = {}) {
+    const jobs = [];
+    for (const board of boards) {
+      jobs.push(...await fetchLeverBoard(board, { fetch }));
+    }
+    return { success: true, jobs, total: jobs.length };
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Remotive source adapter
+ * Public remote-jobs API: https://remotive.com/api/remote-jobs
+ */
+
+import { fetchJson, htmlToText, toIsoDate } from './common.js';
+import { parseSalaryText, normalizeSalary, formatSalary } from '../salary.js';
+
+const REMOTIVE_API_URL = 'https://remotive.com/api/remote-jobs';
+
+export function mapRemotiveJob(job) {
+  // Free text such as "$80k - $100k"; kept as-is when it can't be parsed
+  const salaryRange = normalizeSalary(parseSalaryText(job.salary));
+
+  return {
+    id: String(job.id),
+    title: job.title?.trim() || 'N/A',
+    company: job.company_name?.trim() || 'N/A',
+    location: job.candidate_required_location?.trim() || 'Remote',
+    description: htmlToText(job.description) || 'N/A',
+    applyLink: job.url || 'N/A',
+    salary: salaryRange ? formatSalary(salaryRange) : job.salary?.trim() || 'N/A',
+    salaryRange,
+    postedDate: toIsoDate(job.publication_date),
+    source: 'remotive'
+  };
+}
+
+export function parseRemotiveResponse(data) {
+  return (data.jobs || []).map(mapRemotiveJob);
+}
+
+export default {
+  name: 'remotive',
+  searchable: true,
+
+  async fetchJobs(query, { limit = 20, fetch } = {}) {
+    const params = new URLSearchParams({ search: query, limit: String(limit) });
+    const data = await fetchJson(`${REMOTIVE_API_URL}?${params}`, { fetch });
+    const jobs = parseRemotiveResponse(data);
+    return { success: true, jobs, total: data['job-count'] ?? jobs.length };
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Generic RSS / Atom feed source adapter
+ * Works with job feeds such as We Work Remotely or any board exposing RSS
+ */
+
+import { fetchText, decodeEntities, htmlToText, toIsoDate } from './common.js';
+
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return '';
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : decodeEntities(match[1].trim());
+}
+
+// Atom uses <link href="..."/> instead of <link>...</link>
+function readLink(xml) {
+  return readTag(xml, 'link') || xml.match(/<link[^>]*href="([^"]+)"/i)?.[1] || '';
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return 'N/A';
+  }
+}
+
+export function mapRssItem(itemXml, feedUrl) {
+  const rawTitle = readTag(itemXml, 'title');
+  const link = readLink(itemXml);
+
+  // Many job feeds title items "Company: Role"
+  const [, titleCompany, titleRole] = rawTitle.match(/^([^:]{2,60}):\s+(.+)$/) || [];
+
+  return {
+    id: readTag(itemXml, 'guid') || readTag(itemXml, 'id') || link,
+    title: (titleRole || rawTitle).trim() || 'N/A',
+    company: readTag(itemXml, 'company') || titleCompany?.trim() || readTag(itemXml, 'dc:creator') || hostOf(feedUrl),
+    location: readTag(itemXml, 'region') || readTag(itemXml, 'location') || 'N/A',
+    description: htmlToText(readTag(itemXml, 'description') || readTag(itemXml, 'content') || readTag(itemXml, 'summary')) || 'N/A',
+    applyLink: link || 'N/A',
+    salary: 'N/A',
+    postedDate: toIsoDate(readTag(itemXml, 'pubDate') || readTag(itemXml, 'published') || readTag(itemXml, 'updated')),
+    source: 'rss'
+  };
+}
+
+export function parseRssFeed(xml, feedUrl) {
+  const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+  return items.map(item => mapRssItem(item, feedUrl));
+}
+
+export default {
+  name: 'rss',
+  searchable: false,
+
+  async fetchJobs(query, { feeds = [], fetch } = {}) {
+    const jobs = [];
+    for (const feedUrl of feeds) {
+      const xml = await fetchText(feedUrl, { fetch });
+      jobs.push(...parseRssFeed(xml, feedUrl));
+    }
+    return { success: true, jobs, total: jobs.length };
+  }
+};
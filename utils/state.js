@@ -0,0 +1,105 @@
+/**
+ * Small key/value store for agent state that must survive between runs
+ * Backed by a hidden "_state" tab in the same Google Sheet
+ */
+
+import { getGoogleSheetsClient, ensureSheetTab, sheetRange } from './sheets.js';
+import { withRateLimit } from './rateLimit.js';
+
+const STATE_SHEET_NAME = process.env.STATE_SHEET_NAME || '_state';
+
+async function readStateRows(sheets, spreadsheetId) {
+  await ensureSheetTab(sheets, spreadsheetId, STATE_SHEET_NAME, { hidden: true });
+  
+  const response = await withRateLimit('sheets', () => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: sheetRange(STATE_SHEET_NAME, 'A:C') // Key, Value (JSON), Updated
+  }));
+  return response.data.values || [];
+}
+
+export async function getState(key, defaultValue = null) {
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  const rows = await readStateRows(sheets, spreadsheetId);
+  const row = rows.find(r => r[0] === key);
+  if (!row || !row[1]) {
+    return defaultValue;
+  }
+  
+  try {
+    return JSON.parse(row[1]);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable state for "${key}": ${error.message}`);
+    return defaultValue;
+  }
+}
+
+// Every readable value whose key starts with the prefix, in one read
+export async function getStateEntries(prefix) {
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  const rows = await readStateRows(sheets, spreadsheetId);
+  return rows
+    .filter(r => r[0]?.startsWith(prefix) && r[1])
+    .flatMap(r => {
+      try {
+        return [{ key: r[0], value: JSON.parse(r[1]) }];
+      } catch (error) {
+        console.warn(`⚠️ Ignoring unreadable state for "${r[0]}": ${error.message}`);
+        return [];
+      }
+    });
+}
+
+export async function setState(key, value) {
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  const rows = await readStateRows(sheets, spreadsheetId);
+  const index = rows.findIndex(r => r[0] === key);
+  const row = [key, JSON.stringify(value), new Date().toISOString()];
+  
+  if (index === -1) {
+    await withRateLimit('sheets', () => sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: sheetRange(STATE_SHEET_NAME, 'A:C'),
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: [row] }
+    }), { idempotent: false });
+  } else {
+    await withRateLimit('sheets', () => sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: sheetRange(STATE_SHEET_NAME, `A${index + 1}:C${index + 1}`),
+      valueInputOption: 'RAW',
+      resource: { values: [row] }
+    }));
+  }
+}
+
+// Delete every row whose key starts with the prefix
+export async function deleteState(prefix) {
+  const sheets = getGoogleSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  
+  const sheetId = await ensureSheetTab(sheets, spreadsheetId, STATE_SHEET_NAME, { hidden: true });
+  const rows = await readStateRows(sheets, spreadsheetId);
+  const indexes = rows
+    .map((r, index) => (r[0]?.startsWith(prefix) ? index : -1))
+    .filter(index => index !== -1);
+  if (indexes.length === 0) return 0;
+  
+  // Bottom up, so earlier deletions don't shift the rows still to go
+  await withRateLimit('sheets', () => sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: indexes.reverse().map(index => ({
+        deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: index, endIndex: index + 1 } }
+      }))
+    }
+  }), { idempotent: false });
+  return indexes.length;
+}
@@ -0,0 +1,79 @@
+/**
+ * Job application lifecycle
+ * New → Shortlisted → Applied → Interviewing → Offer / Rejected / Withdrawn
+ * New / Shortlisted → Not Interested
+ *
+ * Jobs may skip ahead (New → Applied) but not move backwards; Rejected and
+ * Withdrawn can end any open job, an Offer needs an application first and
+ * Not Interested is only for jobs not applied to yet.
+ * `force` allows any move, e.g. to correct a mistake.
+ */
+
+export const JOB_STATUSES = ['New', 'Shortlisted', 'Applied', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn', 'Not Interested'];
+
+// Open stages in order; everything else is a final outcome
+const PIPELINE = ['New', 'Shortlisted', 'Applied', 'Interviewing'];
+const OUTCOMES = ['Offer', 'Rejected', 'Withdrawn', 'Not Interested'];
+
+// Case-insensitive match against the known statuses; free text from older sheets passes through trimmed
+export function normalizeStatus(status) {
+  const text = String(status || '').trim();
+  return JOB_STATUSES.find(known => known.toLowerCase() === text.toLowerCase()) || text;
+}
+
+export function allowedTransitions(from) {
+  const current = normalizeStatus(from);
+  const stage = PIPELINE.indexOf(current);
+
+  // Outcomes are final
+  if (OUTCOMES.includes(current)) return [];
+  // Blank or free-text statuses are treated as New
+  const position = stage === -1 ? 0 : stage;
+
+  const applied = position >= PIPELINE.indexOf('Applied');
+  return [
+    ...PIPELINE.slice(position + 1),
+    ...(applied ? ['Offer'] : []),
+    'Rejected',
+    'Withdrawn',
+    ...(applied ? [] : ['Not Interested'])
+  ];
+}
+
+// Key for counts and JSON: "Not Interested" → "notInterested"
+export function statusKey(status) {
+  return status.toLowerCase().replace(/ (\w)/g, (_, letter) => letter.toUpperCase());
+}
+
+// "2024-01-15T10:00:00.000Z New → Not Interested: note" lines → [{ at, from, to }]
+export function parseStatusHistory(history) {
+  return String(history || '')
+    .split('\n')
+    .map(line => line.match(/^(\S+) (.+?) → ([A-Za-z]+(?: [A-Za-z]+)*)/))
+    .filter(Boolean)
+    .map(([, at, from, to]) => ({ at, from: normalizeStatus(from), to: normalizeStatus(to) }));
+}
+
+// Returns null when the move is allowed, otherwise the reason it isn't
+export function checkTransition(from, to, { force = false } = {}) {
+  const target = normalizeStatus(to);
+  if (!JOB_STATUSES.includes(target)) {
+    return `Unknown status "${to}" (use ${JOB_STATUSES.join(', ')})`;
+  }
+
+  const current = normalizeStatus(from) || 'New';
+  if (current === target) {
+    return `Already ${target}`;
+  }
+  if (!force && !allowedTransitions(current).includes(target)) {
+    return `Cannot move from ${current} to ${target}`;
+  }
+  return null;
+}
+
+export function lifecycle() {
+  return {
+    statuses: JOB_STATUSES,
+    transitions: Object.fromEntries(JOB_STATUSES.map(status => [status, allowedTransitions(status)]))
+  };
+}
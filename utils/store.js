@@ -0,0 +1,214 @@
+/**
+ * Persistent local job store (JSON lines)
+ * Holds every fetched job with its raw description, classification and history.
+ * The Google Sheet is a projection synced from here (see utils/sync.js).
+ *
+ * Each line is a full snapshot of one record; the last line for a key wins.
+ * The file is compacted once it holds too many stale snapshots.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { canonicalizeUrl } from './dedupe.js';
+
+// Vercel functions can only write to /tmp
+const DEFAULT_STORE_PATH = process.env.VERCEL
+  ? '/tmp/job-scout/jobs.jsonl'
+  : path.join(process.cwd(), 'data', 'jobs.jsonl');
+
+// Default tab has no name; give it a stable key for sync bookkeeping
+const DEFAULT_SHEET_KEY = '(default)';
+
+// Raw job fields we keep; classification fields live under record.classification
+const JOB_FIELDS = [
+  'id', 'title', 'company', 'location', 'description', 'applyLink', 'salary', 'salaryRange',
+  'postedDate', 'source', 'sources', 'searchQuery', 'alternateLinks'
+];
+
+const CLASSIFICATION_FIELDS = [
+  'aiClassification', 'fitScore', 'scoreBreakdown', 'aiSummary', 'matchedSkills', 'concerns', 'experienceLevel', 'attributes', 'processed', 'error'
+];
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.filter(field => object[field] !== undefined).map(field => [field, object[field]]));
+}
+
+export function jobKey(job) {
+  return canonicalizeUrl(job.applyLink) || `${job.source || 'unknown'}:${job.id}`;
+}
+
+function sheetKey(sheetName) {
+  return sheetName || DEFAULT_SHEET_KEY;
+}
+
+export function createJobStore(filePath = process.env.JOB_STORE_PATH || DEFAULT_STORE_PATH) {
+  const records = new Map();
+  let snapshotLines = 0;
+  
+  if (fs.existsSync(filePath)) {
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        records.set(record.key, record);
+        snapshotLines++;
+      } catch (error) {
+        console.warn(`⚠️ Skipping corrupt job store line: ${error.message}`);
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  
+  function write(record) {
+    records.set(record.key, record);
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    snapshotLines++;
+    
+    if (snapshotLines > 1000 && snapshotLines > records.size * 3) {
+      compact();
+    }
+  }
+  
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, [...records.values()].map(record => JSON.stringify(record)).join('\n') + '\n');
+    fs.renameSync(tmpPath, filePath);
+    snapshotLines = records.size;
+  }
+  
+  function key(profileName, job) {
+    return `${profileName}::${jobKey(job)}`;
+  }
+  
+  return {
+    filePath,
+    
+    get(profileName, job) {
+      return records.get(key(profileName, job)) || null;
+    },
+    
+    getByKey(recordKey) {
+      return records.get(recordKey) || null;
+    },
+    
+    // Record freshly fetched jobs; returns how many were new to this profile
+    recordFetched(jobs, profileName) {
+      const now = new Date().toISOString();
+      let added = 0;
+      
+      for (const job of jobs) {
+        const existing = records.get(key(profileName, job));
+        if (existing) {
+          write({
+            ...existing,
+            job: { ...existing.job, ...pick(job, JOB_FIELDS) },
+            lastSeen: now,
+            history: [...existing.history, { at: now, event: 'seen', source: job.source, query: job.searchQuery }]
+          });
+          continue;
+        }
+        
+        added++;
+        write({
+          key: key(profileName, job),
+          profile: profileName,
+          job: pick(job, JOB_FIELDS),
+          classification: null,
+          version: 0,
+          syncedTo: {},
+          firstSeen: now,
+          lastSeen: now,
+          history: [{ at: now, event: 'fetched', source: job.source, query: job.searchQuery }]
+        });
+      }
+      
+      return added;
+    },
+    
+    // Store the classifier's verdict; bumps the version so the sheet gets re-synced
+    recordClassification(classifiedJob, profileName) {
+      const now = new Date().toISOString();
+      const existing = records.get(key(profileName, classifiedJob));
+      const base = existing || {
+        key: key(profileName, classifiedJob),
+        profile: profileName,
+        job: pick(classifiedJob, JOB_FIELDS),
+        version: 0,
+        syncedTo: {},
+        firstSeen: now,
+        lastSeen: now,
+        history: []
+      };
+      
+      const classification = { ...pick(classifiedJob, CLASSIFICATION_FIELDS), classifiedAt: now };
+      const previous = base.classification?.aiClassification;
+      
+      // Same verdict again (e.g. a cache hit): nothing new to sync
+      if (existing && previous === classification.aiClassification &&
+          base.classification.fitScore === classification.fitScore &&
+          base.classification.aiSummary === classification.aiSummary) {
+        return;
+      }
+      
+      write({
+        ...base,
+        classification,
+        version: base.version + 1,
+        history: [...base.history, {
+          at: now,
+          event: previous ? 'reclassified' : 'classified',
+          from: previous,
+          to: classification.aiClassification
+        }]
+      });
+    },
+    
+    // Classified records whose latest version hasn't reached this tab yet
+    pendingSync(profileName, sheetName) {
+      return [...records.values()].filter(record =>
+        record.profile === profileName &&
+        record.classification &&
+        (record.syncedTo[sheetKey(sheetName)] || 0) < record.version
+      );
+    },
+    
+    markSynced(recordsToMark, sheetName, event = 'synced') {
+      const now = new Date().toISOString();
+      for (const record of recordsToMark) {
+        const current = records.get(record.key);
+        write({
+          ...current,
+          syncedTo: { ...current.syncedTo, [sheetKey(sheetName)]: record.version },
+          history: [...current.history, { at: now, event, sheet: sheetKey(sheetName) }]
+        });
+      }
+    },
+    
+    query({ profile, classification, source, since, search } = {}) {
+      return [...records.values()].filter(record =>
+        (!profile || record.profile === profile) &&
+        (!classification || record.classification?.aiClassification === classification) &&
+        (!source || record.job.source === source || record.job.sources?.includes(source)) &&
+        (!since || record.lastSeen >= since) &&
+        (!search || `${record.job.title} ${record.job.company} ${record.job.description}`.toLowerCase().includes(search.toLowerCase()))
+      );
+    },
+    
+    compact
+  };
+}
+
+// Flatten a record back into the job shape the rest of the pipeline uses
+export function recordToJob(record) {
+  return { ...record.job, ...(record.classification || {}), profile: record.profile };
+}
+
+let defaultStore = null;
+
+export function getJobStore() {
+  if (!defaultStore) {
+    defaultStore = createJobStore();
+  }
+  return defaultStore;
+}
@@ -0,0 +1,56 @@
+/**
+ * Store → Google Sheet sync
+ * New records are appended as rows; re-classified records update their row
+ */
+
+import { insertJobs, updateJobRows } from './sheets.js';
+import { recordToJob } from './store.js';
+import { attributeCells } from './attributes.js';
+
+// SHEET_SYNC=off keeps everything in the local store (offline runs, tests)
+export function isSheetSyncEnabled() {
+  return (process.env.SHEET_SYNC || 'on').toLowerCase() !== 'off';
+}
+
+export async function syncStoreToSheet(store, { profile, sheetName = profile.sheetName }) {
+  if (!isSheetSyncEnabled()) {
+    return { success: true, skipped: true, inserted: 0, updated: 0 };
+  }
+  
+  const pending = store.pendingSync(profile.name, sheetName);
+  if (pending.length === 0) {
+    return { success: true, inserted: 0, updated: 0, duplicates: 0 };
+  }
+  
+  // Anything this tab has seen before only needs its row refreshed
+  const tabKey = sheetName || '(default)';
+  const updates = pending.filter(record => record.syncedTo[tabKey]);
+  const inserts = pending.filter(record => !record.syncedTo[tabKey]);
+  
+  const insertResult = await insertJobs(inserts.map(recordToJob), { sheetName });
+  if (insertResult.success) {
+    store.markSynced(inserts, sheetName);
+  }
+  
+  const updateResult = await updateJobRows(updates.map(record => ({
+    applyLink: record.job.applyLink,
+    values: {
+      'AI Classification': record.classification.aiClassification,
+      'AI Summary': record.classification.aiSummary,
+      'Fit Score': record.classification.fitScore ?? '',
+      ...attributeCells(record.classification.attributes, record.job)
+    }
+  })), { sheetName });
+  if (updateResult.success) {
+    store.markSynced(updates, sheetName, 'row-updated');
+  }
+  
+  return {
+    success: insertResult.success && updateResult.success,
+    error: insertResult.error || updateResult.error,
+    inserted: insertResult.inserted || 0,
+    duplicates: insertResult.duplicates || 0,
+    merged: insertResult.merged || 0,
+    updated: updateResult.updated || 0
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Multipart upload helpers
+ * Reads form fields and files from multipart/form-data requests
+ */
+
+import Busboy from 'busboy';
+
+// 5 MB is plenty for a CV and keeps us well under Vercel's body limit
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Malformed or oversized uploads are the client's mistake, not a server error
+function uploadError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function isMultipartRequest(req) {
+  return (req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+export function parseMultipartForm(req) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = {};
+
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { fileSize: MAX_FILE_SIZE, files: 1 } });
+    } catch (error) {
+      return reject(uploadError(`Invalid multipart request: ${error.message}`));
+    }
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on('file', (name, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => reject(uploadError(`Uploaded file exceeds ${MAX_FILE_SIZE / (1024 * 1024)} MB limit`, 413)));
+      stream.on('end', () => {
+        files[name] = {
+          filename: info.filename,
+          mimeType: info.mimeType,
+          buffer: Buffer.concat(chunks)
+        };
+      });
+    });
+
+    busboy.on('error', error => reject(uploadError(`Invalid multipart request: ${error.message}`)));
+    busboy.on('close', () => resolve({ fields, files }));
+
+    req.pipe(busboy);
+  });
+}
@@ -0,0 +1,115 @@
+/**
+ * Company career-page watcher
+ * Checks Greenhouse and Lever boards on a watchlist and feeds postings that are
+ * new since the last run through classification + sheet insertion
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchGreenhouseBoard } from './sources/greenhouse.js';
+import { fetchLeverBoard } from './sources/lever.js';
+import { classifyAndInsertInBatches } from './gemini.js';
+import { getState, setState } from './state.js';
+import { isSheetSyncEnabled } from './sync.js';
+import { getJobStore } from './store.js';
+import { loadProfile } from './profile.js';
+
+const WATCHLIST_PATH = process.env.WATCHLIST_PATH || path.join(process.cwd(), 'config', 'watchlist.json');
+
+const BOARD_FETCHERS = {
+  greenhouse: fetchGreenhouseBoard,
+  lever: fetchLeverBoard
+};
+
+export function loadWatchlist() {
+  try {
+    return JSON.parse(fs.readFileSync(WATCHLIST_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load watchlist from ${WATCHLIST_PATH}: ${error.message}`);
+  }
+}
+
+function validateEntry(entry) {
+  if (!BOARD_FETCHERS[entry.provider]) {
+    throw new Error(`Unsupported watchlist provider "${entry.provider}" (use greenhouse or lever)`);
+  }
+  if (!entry.board) {
+    throw new Error(`Watchlist entry for ${entry.provider} is missing "board"`);
+  }
+}
+
+function matchesKeywords(job, keywords) {
+  if (!keywords || keywords.length === 0) return true;
+  const title = job.title.toLowerCase();
+  return keywords.some(keyword => title.includes(keyword.toLowerCase()));
+}
+
+// Seen IDs live in the "_state" tab; without the sheet, a posting the job store
+// already has a verdict for (under this profile) counts as seen
+async function loadSeenIds(stateKey, postings, { profile, store }) {
+  if (!isSheetSyncEnabled()) {
+    return new Set(postings.filter(job => store.get(profile.name, job)?.classification).map(job => job.id));
+  }
+  const state = await getState(stateKey, { seenIds: [] });
+  return new Set(state.seenIds);
+}
+
+export async function runWatchlist(watchlist, { profile = loadProfile(), maxJobs = 50, fetch, store = getJobStore() } = {}) {
+  const boards = [];
+  const pending = [];
+  
+  // Step 1: find postings we haven't seen on each board
+  for (const entry of watchlist) {
+    const stateKey = `watch:${entry.provider}:${entry.board}`;
+    
+    try {
+      validateEntry(entry);
+      
+      const postings = (await BOARD_FETCHERS[entry.provider](entry.board, { fetch }))
+        .filter(job => matchesKeywords(job, entry.keywords));
+      const seenIds = await loadSeenIds(stateKey, postings, { profile, store });
+      
+      const fresh = postings
+        .filter(job => !seenIds.has(job.id))
+        .map(job => ({
+          ...job,
+          company: entry.company || job.company,
+          searchQuery: `watch:${entry.board}`
+        }));
+      
+      console.log(`👀 ${entry.provider}/${entry.board}: ${postings.length} postings, ${fresh.length} new`);
+      const stats = { provider: entry.provider, board: entry.board, postings: postings.length, new: fresh.length };
+      boards.push(stats);
+      pending.push({ stateKey, postings, seenIds, fresh, stats });
+    } catch (error) {
+      console.error(`❌ Failed to check ${entry.provider}/${entry.board}:`, error);
+      boards.push({ provider: entry.provider, board: entry.board, error: error.message });
+    }
+  }
+  
+  // Step 2: classify + insert, capped so one run stays within the function timeout
+  const newJobs = pending.flatMap(board => board.fresh).slice(0, maxJobs);
+  const classifiedJobs = newJobs.length > 0
+    ? await classifyAndInsertInBatches(newJobs, 15, { profile, store })
+    : [];
+  
+  // Step 3: remember what was processed. Postings that were closed drop out of
+  // the seen list; anything skipped by the cap stays "new" for the next run.
+  // (Without the sheet the job store already remembers them.) The jobs are in
+  // by now, so a board whose state can't be saved is reported, not fatal.
+  const processedIds = new Set(classifiedJobs.map(job => `${job.source}:${job.id}`));
+  for (const { stateKey, postings, seenIds, stats } of isSheetSyncEnabled() ? pending : []) {
+    const stillSeen = postings
+      .filter(job => seenIds.has(job.id) || processedIds.has(`${job.source}:${job.id}`))
+      .map(job => job.id);
+    
+    try {
+      await setState(stateKey, { seenIds: stillSeen, lastRun: new Date().toISOString() });
+    } catch (error) {
+      console.error(`❌ Could not save seen postings for ${stats.provider}/${stats.board}:`, error.message);
+      stats.error = `Seen postings not saved: ${error.message}`;
+    }
+  }
+  
+  return { boards, jobs: classifiedJobs };
+}